@@ -0,0 +1,16 @@
+require('dotenv').config();
+const prisma = require('../prisma/client');
+const { createExpressMiddleware } = require('../utils/middleware');
+const { getAuditEvents } = require('../utils/auditHandlers');
+
+// 创建 Express 服务器并配置中间件
+const server = createExpressMiddleware();
+
+// 查询审计日志（支持筛选和分页）
+server.get('/', async (req, res) => {
+    await getAuditEvents(req, res, prisma);
+});
+
+// ⭐️ 关键：导出一个 handler 函数给 Vercel
+const { createVercelHandler } = require('../utils/vercelHandler');
+module.exports = createVercelHandler(server, '/api/audit');
@@ -1,8 +1,10 @@
 require('dotenv').config();
 const prisma = require('../prisma/client');
 const { createExpressMiddleware } = require('../utils/middleware');
-const { exportUsers } = require('../utils/exportHandlers');
+const { EXPORT_FORMATS, exportRecords, parseExportFilter } = require('../utils/exportHandlers');
+const { EXPORT_ENTITIES } = require('../utils/exportEntities');
 const taskManager = require('../utils/exportTaskManager');
+const { sendValidationError } = require('../utils/validation');
 const fs = require('fs');
 
 // 创建 Express 服务器并配置中间件
@@ -11,31 +13,41 @@ const server = createExpressMiddleware();
 // 创建导出任务 - POST /api/export
 server.post('/', async (req, res) => {
     try {
-        const { format = 'json', name: searchName } = req.body;
+        const { format = 'json' } = req.body;
         
-        // 验证格式
-        const validFormats = ['json', 'excel', 'xlsx', 'csv'];
-        if (!validFormats.includes(format.toLowerCase())) {
-            return res.status(400).json({ error: '不支持的导出格式', validFormats });
+        // 验证格式（与 EXPORT_WRITERS 中登记的写入器一致）
+        if (typeof format !== 'string' || !EXPORT_FORMATS.includes(format.toLowerCase())) {
+            return res.status(400).json({ error: '不支持的导出格式', validFormats: EXPORT_FORMATS });
         }
 
+        // 解析导出实体、筛选、排序参数（筛选和排序与该实体的列表接口相同）和导出的列、表头、日期格式
+        const { entity, filter, sort, sortParam, options, errors } = parseExportFilter(req.body);
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        const searchName = filter[EXPORT_ENTITIES[entity].searchField] || null;
+
         // 创建任务
-        const taskId = await taskManager.createTask(format.toLowerCase(), searchName);
-        console.log(`导出任务已创建: ${taskId}, 格式: ${format}, 搜索名称: ${searchName || '无'}`);
+        const taskId = await taskManager.createTask(format.toLowerCase(), searchName, { entity, filter, sort: sortParam, ...options });
+        console.log(`导出任务已创建: ${taskId}, 实体: ${entity}, 格式: ${format}, 搜索条件: ${searchName || '无'}`);
         
         // 启动导出任务（不等待完成）
         // 使用立即执行的 async IIFE 并添加错误处理
         const exportPromise = (async () => {
             try {
                 console.log(`[${taskId}] 开始执行导出任务...`);
-                const result = await exportUsers(prisma, format.toLowerCase(), searchName, taskId);
-                console.log(`[${taskId}] 导出任务完成: 文件=${result.fileName}, 记录数=${result.totalRecords}`);
+                const result = await exportRecords(prisma, format.toLowerCase(), filter, taskId, { entity, sort, sortByRelevance: !sortParam, ...options });
+                if (result.cancelled) {
+                    console.log(`[${taskId}] 导出任务已取消: 已处理记录数=${result.totalRecords}`);
+                } else {
+                    console.log(`[${taskId}] 导出任务完成: 文件=${result.fileName}, 记录数=${result.totalRecords}`);
+                }
             } catch (error) {
                 console.error(`[${taskId}] 导出任务失败:`, error);
                 console.error(`[${taskId}] 错误堆栈:`, error.stack);
-                // 确保任务状态被更新为失败
+                // 确保任务状态被更新为失败（已取消的任务保持取消状态）
                 try {
-                    await taskManager.updateTask(taskId, {
+                    await taskManager.updateTaskUnlessCancelled(taskId, {
                         status: 'failed',
                         error: error.message || String(error)
                     });
@@ -78,12 +90,15 @@ server.post('/', async (req, res) => {
         if (!taskStarted) {
             console.warn(`[${taskId}] 等待超时，任务可能尚未开始处理，但已启动异步任务`);
             // 即使超时，也尝试手动更新一次状态，确保任务至少被标记为 processing
+            // 只更新仍在等待中的任务，不覆盖这期间已取消或已完成的任务
             try {
-                await taskManager.updateTask(taskId, {
+                const updated = await taskManager.updateTaskIfPending(taskId, {
                     status: 'processing',
                     progress: 1
                 });
-                console.log(`[${taskId}] 手动更新任务状态为 processing`);
+                if (updated) {
+                    console.log(`[${taskId}] 手动更新任务状态为 processing`);
+                }
             } catch (manualUpdateError) {
                 console.error(`[${taskId}] 手动更新任务状态失败:`, manualUpdateError);
             }
@@ -0,0 +1,52 @@
+require('dotenv').config();
+const taskManager = require('../../../utils/exportTaskManager');
+const { extractTaskId } = require('../../../utils/routeParams');
+
+// ⭐️ 关键：导出一个 handler 函数给 Vercel
+// 在 Vercel 中，请求会被路由到 /api/export/:taskId/cancel
+// 直接处理请求，不通过 Express 路由，以避免嵌套动态路由的问题
+module.exports = async (req, res) => {
+    try {
+        // 只处理 POST 请求
+        if (req.method !== 'POST') {
+            return res.status(405).json({ error: '方法不允许' });
+        }
+
+        // 提取 taskId
+        const taskId = extractTaskId(req, 'export', 'cancel');
+
+        if (!taskId) {
+            console.error('无法提取 taskId');
+            console.error('请求 URL:', req.url);
+            return res.status(400).json({ error: '无效的任务ID参数' });
+        }
+
+        // 取消任务，导出流程在批次之间检查到取消后停止并删除未写完的文件
+        const { task, cancelled } = await taskManager.cancelTask(taskId);
+
+        if (!task) {
+            return res.status(404).json({ error: '任务不存在' });
+        }
+
+        // 重复取消时返回相同结果；已完成或已失败的任务不能取消
+        if (!cancelled && task.status !== 'cancelled') {
+            return res.status(409).json({ error: '任务已结束，不能取消', status: task.status });
+        }
+
+        res.json({
+            taskId: task.taskId,
+            status: task.status,
+            message: '导出任务已取消',
+            totalRecords: task.totalRecords,
+            processedRecords: task.processedRecords
+        });
+    } catch (error) {
+        console.error('取消导出任务失败:', error);
+        if (!res.headersSent) {
+            res.status(500).json({
+                error: '取消导出任务失败',
+                details: error.message
+            });
+        }
+    }
+};
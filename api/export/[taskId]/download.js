@@ -2,14 +2,17 @@ require('dotenv').config();
 const taskManager = require('../../../utils/exportTaskManager');
 const fs = require('fs');
 const { extractTaskId } = require('../../../utils/routeParams');
+const { ARCHIVE_MIME_TYPES } = require('../../../utils/exportArchive');
+const { getExportExpiresAt, isExportExpired, isExpiredTaskId } = require('../../../utils/exportRetention');
+const { sendFile } = require('../../../utils/fileDownload');
 
 // ⭐️ 关键：导出一个 handler 函数给 Vercel
 // 在 Vercel 中，请求会被路由到 /api/export/:taskId/download
 // 直接处理请求，不通过 Express 路由，以避免嵌套动态路由的问题
 module.exports = async (req, res) => {
     try {
-        // 只处理 GET 请求
-        if (req.method !== 'GET') {
+        // 只处理 GET 和 HEAD 请求
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
             return res.status(405).json({ error: '方法不允许' });
         }
         
@@ -41,9 +44,18 @@ module.exports = async (req, res) => {
         const task = await taskManager.getTask(taskId);
 
         if (!task) {
+            // 过期后被清理的任务返回 410
+            if (isExpiredTaskId(taskId)) {
+                return res.status(410).json({ error: '导出文件已过期' });
+            }
             return res.status(404).json({ error: '任务不存在' });
         }
 
+        // 过期的任务（文件可能已被清理）返回 410
+        if (isExportExpired(task)) {
+            return res.status(410).json({ error: '导出文件已过期', expiresAt: getExportExpiresAt(task) });
+        }
+
         if (task.status !== 'completed') {
             return res.status(400).json({ 
                 error: '任务尚未完成', 
@@ -56,28 +68,24 @@ module.exports = async (req, res) => {
             return res.status(404).json({ error: '导出文件不存在' });
         }
 
-        // 设置下载响应头
+        // 下载文件的 Content-Type
         const mimeTypes = {
             'json': 'application/json',
             'excel': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
             'xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-            'csv': 'text/csv'
+            'csv': 'text/csv',
+            'ndjson': 'application/x-ndjson',
+            'tsv': 'text/tab-separated-values',
+            'html': 'text/html; charset=utf-8'
         };
 
-        const mimeType = mimeTypes[task.format] || 'application/octet-stream';
-        res.setHeader('Content-Type', mimeType);
-        res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(task.fileName)}"`);
+        // 压缩后的导出文件按压缩包的类型下载
+        const mimeType = task.compression
+            ? ARCHIVE_MIME_TYPES[task.compression]
+            : mimeTypes[task.format] || 'application/octet-stream';
 
-        // 发送文件
-        const fileStream = fs.createReadStream(task.filePath);
-        fileStream.pipe(res);
-
-        fileStream.on('error', (error) => {
-            console.error('读取文件失败:', error);
-            if (!res.headersSent) {
-                res.status(500).json({ error: '读取文件失败' });
-            }
-        });
+        // 发送文件（支持 Range 断点续传、ETag / Last-Modified 和 HEAD 请求，见 fileDownload）
+        sendFile(req, res, task.filePath, { contentType: mimeType, fileName: task.fileName });
     } catch (error) {
         console.error('下载文件失败:', error);
         console.error('错误堆栈:', error.stack);
@@ -1,6 +1,7 @@
 require('dotenv').config();
 const taskManager = require('../../../utils/exportTaskManager');
 const { extractTaskId } = require('../../../utils/routeParams');
+const { getExportExpiresAt } = require('../../../utils/exportRetention');
 
 // ⭐️ 关键：导出一个 handler 函数给 Vercel
 // 在 Vercel 中，请求会被路由到 /api/export/:taskId/status
@@ -77,10 +78,16 @@ module.exports = async (req, res) => {
             status: task.status,
             progress: task.progress,
             format: task.format,
+            entity: task.entity,
             fileName: task.fileName,
             error: task.error,
             totalRecords: task.totalRecords,
-            processedRecords: task.processedRecords
+            processedRecords: task.processedRecords,
+            compression: task.compression,
+            maxRowsPerFile: task.maxRowsPerFile,
+            compressedSize: task.compressedSize,
+            scheduleId: task.scheduleId,
+            expiresAt: getExportExpiresAt(task)
         });
     } catch (error) {
         console.error('查询任务状态失败:', error);
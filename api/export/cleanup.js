@@ -0,0 +1,15 @@
+require('dotenv').config();
+const { createExpressMiddleware } = require('../../utils/middleware');
+const { cleanupExportFiles } = require('../../utils/exportHandlers');
+
+// 创建 Express 服务器并配置中间件
+const server = createExpressMiddleware();
+
+// 清理过期的导出任务和文件 - POST /api/export/cleanup
+server.post('/', async (req, res) => {
+    await cleanupExportFiles(req, res);
+});
+
+// ⭐️ 关键：导出一个 handler 函数给 Vercel
+const { createVercelHandler } = require('../../utils/vercelHandler');
+module.exports = createVercelHandler(server, '/api/export/cleanup');
@@ -0,0 +1,21 @@
+require('dotenv').config();
+const prisma = require('../../prisma/client');
+const { createExpressMiddleware } = require('../../utils/middleware');
+const { getExportSchedules, createExportSchedule } = require('../../utils/exportScheduleHandlers');
+
+// 创建 Express 服务器并配置中间件
+const server = createExpressMiddleware();
+
+// 获取定时导出列表 - 在 Vercel 中，api/export/schedules.js 对应 /api/export/schedules 路径
+server.get('/', async (req, res) => {
+    await getExportSchedules(req, res, prisma);
+});
+
+// 创建定时导出
+server.post('/', async (req, res) => {
+    await createExportSchedule(req, res, prisma);
+});
+
+// ⭐️ 关键：导出一个 handler 函数给 Vercel
+const { createVercelHandler } = require('../../utils/vercelHandler');
+module.exports = createVercelHandler(server, '/api/export/schedules');
@@ -0,0 +1,53 @@
+require('dotenv').config();
+const prisma = require('../../../prisma/client');
+const { createExpressMiddleware } = require('../../../utils/middleware');
+const {
+    getExportScheduleById,
+    updateExportSchedule,
+    deleteExportSchedule
+} = require('../../../utils/exportScheduleHandlers');
+const { extractScheduleId } = require('../../../utils/routeParams');
+
+// 创建 Express 服务器并配置中间件
+const server = createExpressMiddleware();
+
+// 获取单个定时导出 - 在 Vercel 中，api/export/schedules/[id].js 对应 /api/export/schedules/:id 路径
+// ID 的校验由处理函数完成，与 Express 路由返回相同的错误
+server.get('/', async (req, res) => {
+    await getExportScheduleById(req, res, prisma, extractScheduleId(req));
+});
+
+// 更新定时导出（部分更新）
+server.patch('/', async (req, res) => {
+    await updateExportSchedule(req, res, prisma, extractScheduleId(req));
+});
+
+// 删除定时导出
+server.delete('/', async (req, res) => {
+    await deleteExportSchedule(req, res, prisma, extractScheduleId(req));
+});
+
+// ⭐️ 关键：导出一个 handler 函数给 Vercel
+module.exports = async (req, res) => {
+    try {
+        // 在 Vercel 中，req.url 可能是 '/api/export/schedules/4'
+        // 先提取 id 放入查询参数，再把 req.url 改为 / 以便 Express 路由能正确匹配
+        const id = extractScheduleId(req);
+        if (id) {
+            req.query = req.query || {};
+            req.query.id = id;
+        }
+
+        req.url = '/';
+
+        await server(req, res);
+    } catch (error) {
+        console.error('处理请求失败:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ 
+                error: '服务器内部错误', 
+                details: error.message 
+            });
+        }
+    }
+};
@@ -0,0 +1,38 @@
+require('dotenv').config();
+const prisma = require('../../../../prisma/client');
+const { createExpressMiddleware } = require('../../../../utils/middleware');
+const { runExportScheduleNow } = require('../../../../utils/exportScheduleHandlers');
+const { extractScheduleId } = require('../../../../utils/routeParams');
+
+// 创建 Express 服务器并配置中间件
+const server = createExpressMiddleware();
+
+// 立即运行一次定时导出 - POST /api/export/schedules/:id/run
+server.post('/', async (req, res) => {
+    await runExportScheduleNow(req, res, prisma, extractScheduleId(req));
+});
+
+// ⭐️ 关键：导出一个 handler 函数给 Vercel
+module.exports = async (req, res) => {
+    try {
+        // 在 Vercel 中，req.url 可能是 '/api/export/schedules/4/run'
+        // 先提取参数放入查询参数，再把 req.url 改为 / 以便 Express 路由能正确匹配
+        req.query = req.query || {};
+        const id = extractScheduleId(req);
+        if (id) {
+            req.query.id = id;
+        }
+
+        req.url = '/';
+
+        await server(req, res);
+    } catch (error) {
+        console.error('处理请求失败:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ 
+                error: '服务器内部错误', 
+                details: error.message 
+            });
+        }
+    }
+};
@@ -0,0 +1,21 @@
+require('dotenv').config();
+const prisma = require('../../../prisma/client');
+const { createExpressMiddleware } = require('../../../utils/middleware');
+const { runDueExportSchedules } = require('../../../utils/exportScheduleHandlers');
+
+// 创建 Express 服务器并配置中间件
+const server = createExpressMiddleware();
+
+// 运行所有到期的定时导出 - 由 Vercel Cron 调用（GET），也可以手动 POST
+// 设置了 CRON_SECRET 时要求请求头 Authorization: Bearer <CRON_SECRET>
+server.get('/', async (req, res) => {
+    await runDueExportSchedules(req, res, prisma);
+});
+
+server.post('/', async (req, res) => {
+    await runDueExportSchedules(req, res, prisma);
+});
+
+// ⭐️ 关键：导出一个 handler 函数给 Vercel
+const { createVercelHandler } = require('../../../utils/vercelHandler');
+module.exports = createVercelHandler(server, '/api/export/schedules/run-due');
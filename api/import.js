@@ -3,8 +3,11 @@ const prisma = require('../prisma/client');
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
-const { importUsers, countRecords } = require('../utils/importHandlers');
+const { IMPORT_DUPLICATE_ACTIONS, importRecords, countRecords } = require('../utils/importHandlers');
+const { DEFAULT_IMPORT_ENTITY, IMPORT_ENTITIES, getImportEntity } = require('../utils/importEntities');
+const { ERROR_CODES, sendValidationError } = require('../utils/validation');
 const importTaskManager = require('../utils/importTaskManager');
+const { getActor } = require('../utils/auditLog');
 const { createUploadMiddleware } = require('../utils/uploadConfig');
 const { createVercelHandler } = require('../utils/vercelHandler');
 
@@ -49,10 +52,40 @@ server.post('/', upload.single('file'), async (req, res) => {
             return res.status(400).json({ error: '不支持的文件格式，仅支持 JSON、CSV、Excel 格式' });
         }
 
+        // 导入的实体（表单字段 entity，默认为 users）
+        const entity = (req.body && req.body.entity) || DEFAULT_IMPORT_ENTITY;
+        if (!getImportEntity(entity)) {
+            fs.unlinkSync(filePath);
+            return sendValidationError(res, [{
+                field: 'entity',
+                code: ERROR_CODES.INVALID_VALUE,
+                message: `不支持导入 ${entity}，可用实体: ${Object.keys(IMPORT_ENTITIES).join(', ')}`
+            }]);
+        }
+
+        // 用户名重复时的处理方式（表单字段 onDuplicate，默认记为失败），只有支持重名处理的实体可以指定
+        if (req.body && req.body.onDuplicate && !getImportEntity(entity).supportsDuplicate) {
+            fs.unlinkSync(filePath);
+            return sendValidationError(res, [{
+                field: 'onDuplicate',
+                code: ERROR_CODES.INVALID_VALUE,
+                message: `导入 ${entity} 不支持 onDuplicate`
+            }]);
+        }
+        const onDuplicate = (req.body && req.body.onDuplicate) || 'fail';
+        if (!IMPORT_DUPLICATE_ACTIONS.includes(onDuplicate)) {
+            fs.unlinkSync(filePath);
+            return sendValidationError(res, [{
+                field: 'onDuplicate',
+                code: ERROR_CODES.INVALID_VALUE,
+                message: `onDuplicate 必须是 ${IMPORT_DUPLICATE_ACTIONS.join(' / ')} 之一`
+            }]);
+        }
+
         // 快速统计数据条数
         let recordCount = 0;
         try {
-            recordCount = await countRecords(filePath, format);
+            recordCount = await countRecords(filePath, format, entity);
             console.log(`文件统计完成，共 ${recordCount} 条记录`);
         } catch (error) {
             console.error('统计记录数失败:', error);
@@ -67,11 +100,11 @@ server.post('/', upload.single('file'), async (req, res) => {
 
         // 所有导入都使用异步方式（无论数据量多少）
         // 创建导入任务
-        const taskId = importTaskManager.createTask(format, originalName);
-        console.log(`创建导入任务: ${taskId}, 记录数: ${recordCount}`);
+        const taskId = importTaskManager.createTask(format, originalName, { entity, onDuplicate });
+        console.log(`创建导入任务: ${taskId}, 实体: ${entity}, 记录数: ${recordCount}`);
 
         // 异步执行导入任务
-        importUsers(prisma, filePath, format, taskId)
+        importRecords(prisma, filePath, format, taskId, { entity, actor: getActor(req), onDuplicate })
             .then(() => {
                 // 导入完成后删除上传的文件
                 if (fs.existsSync(filePath)) {
@@ -92,6 +125,7 @@ server.post('/', upload.single('file'), async (req, res) => {
             message: '导入任务已创建（异步导入）',
             status: 'pending',
             format: format,
+            entity: entity,
             recordCount: recordCount
         });
     } catch (error) {
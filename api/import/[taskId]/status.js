@@ -1,6 +1,7 @@
 require('dotenv').config();
 const importTaskManager = require('../../../utils/importTaskManager');
 const { extractTaskId } = require('../../../utils/routeParams');
+const { DEFAULT_IMPORT_ENTITY } = require('../../../utils/importEntities');
 
 // ⭐️ 关键：导出一个 handler 函数给 Vercel
 // 在 Vercel 中，请求会被路由到 /api/import/:taskId/status
@@ -109,12 +110,16 @@ module.exports = async (req, res) => {
             status: task.status,
             progress: task.progress,
             format: task.format,
+            entity: task.entity || DEFAULT_IMPORT_ENTITY,
             fileName: task.fileName,
             error: task.error,
             totalRecords: task.totalRecords,
             processedRecords: task.processedRecords,
             successRecords: task.successRecords,
             failedRecords: task.failedRecords,
+            skippedRecords: task.skippedRecords || 0,
+            updatedRecords: task.updatedRecords || 0,
+            onDuplicate: task.onDuplicate || 'fail',
             errors: task.errors
         });
     } catch (error) {
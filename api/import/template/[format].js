@@ -1,6 +1,8 @@
 require('dotenv').config();
 const { createExpressMiddleware } = require('../../../../utils/middleware');
 const { generateTemplate } = require('../../../../utils/importHandlers');
+const { DEFAULT_IMPORT_ENTITY, IMPORT_ENTITIES, getImportEntity } = require('../../../../utils/importEntities');
+const { ERROR_CODES, sendValidationError } = require('../../../../utils/validation');
 const fs = require('fs');
 
 // 创建 Express 服务器并配置中间件
@@ -23,7 +25,17 @@ server.get('/', async (req, res) => {
             return res.status(400).json({ error: '不支持的模板格式', validFormats });
         }
 
-        const { fileName, filePath } = generateTemplate(format.toLowerCase());
+        // 模板对应的实体（查询参数 entity，默认为 users）
+        const entity = req.query.entity || DEFAULT_IMPORT_ENTITY;
+        if (!getImportEntity(entity)) {
+            return sendValidationError(res, [{
+                field: 'entity',
+                code: ERROR_CODES.INVALID_VALUE,
+                message: `不支持导入 ${entity}，可用实体: ${Object.keys(IMPORT_ENTITIES).join(', ')}`
+            }]);
+        }
+
+        const { fileName, filePath } = generateTemplate(format.toLowerCase(), entity);
 
         if (!fs.existsSync(filePath)) {
             return res.status(404).json({ error: '模板文件不存在' });
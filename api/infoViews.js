@@ -1,26 +1,21 @@
 require('dotenv').config();
 const prisma = require('../prisma/client');
 const { createExpressMiddleware } = require('../utils/middleware');
-const { handleDatabaseError } = require('../utils/dbErrorHandler');
+const { getInfoViewsList, createInfoView } = require('../utils/infoViewHandlers');
 
 // 创建 Express 服务器并配置中间件
 const server = createExpressMiddleware();
 
-// 获取信息视图列表
-server.get('/api/infoViews', async (req, res) => {
-    try {
-        const infoViews = await prisma.executeWithRetry((p) => p.infoView.findMany());
-        res.json(infoViews);
-    } catch (error) {
-        const dbError = handleDatabaseError(error, res);
-        if (dbError) return;
-        console.error('获取信息视图列表失败:', error);
-        res.status(500).json({ error: '获取信息视图列表失败', details: error.message });
-    }
+// 获取信息视图列表（支持分页和内容搜索）- 在 Vercel 中，api/infoViews.js 对应 /api/infoViews 路径
+server.get('/', async (req, res) => {
+    await getInfoViewsList(req, res, prisma);
 });
 
-// ⭐️ 关键：导出一个 handler 函数给 Vercel
-module.exports = async (req, res) => {
-    await server(req, res);
-};
+// 添加信息视图
+server.post('/', async (req, res) => {
+    await createInfoView(req, res, prisma);
+});
 
+// ⭐️ 关键：导出一个 handler 函数给 Vercel
+const { createVercelHandler } = require('../utils/vercelHandler');
+module.exports = createVercelHandler(server, '/api/infoViews');
@@ -0,0 +1,43 @@
+require('dotenv').config();
+const prisma = require('../../../../../prisma/client');
+const { createExpressMiddleware } = require('../../../../../utils/middleware');
+const { rollbackInfoView } = require('../../../../../utils/infoViewRevisionHandlers');
+const { extractInfoViewId, extractRevision } = require('../../../../../utils/routeParams');
+
+// 创建 Express 服务器并配置中间件
+const server = createExpressMiddleware();
+
+// 回滚信息视图到指定版本 - POST /api/infoViews/:id/revisions/:revision/rollback
+server.post('/', async (req, res) => {
+    await rollbackInfoView(req, res, prisma, extractInfoViewId(req), extractRevision(req));
+});
+
+// ⭐️ 关键：导出一个 handler 函数给 Vercel
+module.exports = async (req, res) => {
+    try {
+        // 在 Vercel 中，req.url 可能是 '/api/infoViews/4/revisions/2/rollback'
+        // 先提取参数放入查询参数，再把 req.url 改为 / 以便 Express 路由能正确匹配
+        req.query = req.query || {};
+        const id = extractInfoViewId(req);
+        if (id) {
+            req.query.id = id;
+        }
+
+        const revision = extractRevision(req);
+        if (revision) {
+            req.query.revision = revision;
+        }
+
+        req.url = '/';
+
+        await server(req, res);
+    } catch (error) {
+        console.error('处理请求失败:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ 
+                error: '服务器内部错误', 
+                details: error.message 
+            });
+        }
+    }
+};
@@ -1,7 +1,7 @@
 require('dotenv').config();
 const prisma = require('../../prisma/client');
 const { createExpressMiddleware } = require('../../utils/middleware');
-const { getUserById, deleteUser } = require('../../utils/userHandlers');
+const { getUserById, updateUser, deleteUser } = require('../../utils/userHandlers');
 const { extractUserId } = require('../../utils/routeParams');
 
 // 创建 Express 服务器并配置中间件
@@ -19,6 +19,28 @@ server.get('/', async (req, res) => {
     await getUserById(req, res, prisma, id);
 });
 
+// 更新用户（部分更新）
+server.patch('/', async (req, res) => {
+    const id = extractUserId(req);
+    
+    if (!id || isNaN(parseInt(id))) {
+        return res.status(400).json({ error: '无效的用户ID参数' });
+    }
+
+    await updateUser(req, res, prisma, id);
+});
+
+// 更新用户（整体替换）
+server.put('/', async (req, res) => {
+    const id = extractUserId(req);
+    
+    if (!id || isNaN(parseInt(id))) {
+        return res.status(400).json({ error: '无效的用户ID参数' });
+    }
+
+    await updateUser(req, res, prisma, id, { partial: false });
+});
+
 // 删除用户
 server.delete('/', async (req, res) => {
     const id = extractUserId(req);
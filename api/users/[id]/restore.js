@@ -0,0 +1,44 @@
+require('dotenv').config();
+const prisma = require('../../../prisma/client');
+const { createExpressMiddleware } = require('../../../utils/middleware');
+const { restoreUser } = require('../../../utils/userHandlers');
+const { extractUserId } = require('../../../utils/routeParams');
+
+// 创建 Express 服务器并配置中间件
+const server = createExpressMiddleware();
+
+// 从回收站恢复用户 - POST /api/users/:id/restore
+server.post('/', async (req, res) => {
+    const id = extractUserId(req);
+    
+    if (!id || isNaN(parseInt(id))) {
+        return res.status(400).json({ error: '无效的用户ID参数' });
+    }
+
+    await restoreUser(req, res, prisma, id);
+});
+
+// ⭐️ 关键：导出一个 handler 函数给 Vercel
+module.exports = async (req, res) => {
+    try {
+        // 在 Vercel 中，req.url 可能是 '/api/users/4/restore'
+        // 先提取 id 放入查询参数，再把 req.url 改为 / 以便 Express 路由能正确匹配
+        const id = extractUserId(req);
+        if (id) {
+            req.query = req.query || {};
+            req.query.id = id;
+        }
+
+        req.url = '/';
+
+        await server(req, res);
+    } catch (error) {
+        console.error('处理请求失败:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ 
+                error: '服务器内部错误', 
+                details: error.message 
+            });
+        }
+    }
+};
@@ -0,0 +1,16 @@
+require('dotenv').config();
+const prisma = require('../../prisma/client');
+const { createExpressMiddleware } = require('../../utils/middleware');
+const { bulkDeleteUsers } = require('../../utils/userHandlers');
+
+// 创建 Express 服务器并配置中间件
+const server = createExpressMiddleware();
+
+// 批量删除用户（移入回收站） - POST /api/users/bulk-delete
+server.post('/', async (req, res) => {
+    await bulkDeleteUsers(req, res, prisma);
+});
+
+// ⭐️ 关键：导出一个 handler 函数给 Vercel
+const { createVercelHandler } = require('../../utils/vercelHandler');
+module.exports = createVercelHandler(server, '/api/users/bulk-delete');
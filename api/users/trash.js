@@ -0,0 +1,17 @@
+require('dotenv').config();
+const prisma = require('../../prisma/client');
+const { createExpressMiddleware } = require('../../utils/middleware');
+const { getTrashList } = require('../../utils/userHandlers');
+
+// 创建 Express 服务器并配置中间件
+const server = createExpressMiddleware();
+
+// 获取回收站中的用户列表 - GET /api/users/trash
+server.get('/', async (req, res) => {
+    await getTrashList(req, res, prisma);
+});
+
+// ⭐️ 关键：导出一个 handler 函数给 Vercel
+// 在 Vercel 中，静态路径 api/users/trash.js 优先于 api/users/[id].js 匹配
+const { createVercelHandler } = require('../../utils/vercelHandler');
+module.exports = createVercelHandler(server, '/api/users/trash');
@@ -0,0 +1,16 @@
+require('dotenv').config();
+const prisma = require('../../../prisma/client');
+const { createExpressMiddleware } = require('../../../utils/middleware');
+const { purgeTrash } = require('../../../utils/userHandlers');
+
+// 创建 Express 服务器并配置中间件
+const server = createExpressMiddleware();
+
+// 永久清理回收站中超过保留期的用户 - POST /api/users/trash/purge
+server.post('/', async (req, res) => {
+    await purgeTrash(req, res, prisma);
+});
+
+// ⭐️ 关键：导出一个 handler 函数给 Vercel
+const { createVercelHandler } = require('../../../utils/vercelHandler');
+module.exports = createVercelHandler(server, '/api/users/trash/purge');
@@ -0,0 +1,81 @@
+require('dotenv').config();
+const prisma = require('./prisma/client');
+const { getUserNameDuplicatePolicy } = require('./utils/envConfig');
+const { computeNameKey } = require('./utils/userNamePolicy');
+
+/**
+ * 按当前的 USER_NAME_DUPLICATE_POLICY 重新计算所有用户的 nameKey
+ * 修改重复策略后运行：node backfill-user-name-key.js
+ *
+ * 在一个事务中先清空再按 id 顺序重新写入：未删除用户中重名时保留 id 最小的用户的 nameKey，
+ * 其余用户的 nameKey 置为 NULL 并在最后列出，需要人工处理
+ */
+
+const BATCH_SIZE = 1000;
+
+async function main() {
+    const policy = getUserNameDuplicatePolicy();
+    console.log(`=== 重新计算用户名唯一键（策略: ${policy}） ===\n`);
+
+    const result = await prisma.$transaction(async (tx) => {
+        await tx.$executeRaw`UPDATE "User" SET "nameKey" = NULL`;
+
+        const activeKeys = new Map(); // nameKey -> 保留该键的用户ID
+        const conflicts = [];
+        let updated = 0;
+        let lastId = 0;
+
+        while (true) {
+            const users = await tx.user.findMany({
+                where: { id: { gt: lastId } },
+                select: { id: true, name: true, deletedAt: true },
+                orderBy: { id: 'asc' },
+                take: BATCH_SIZE
+            });
+            if (users.length === 0) break;
+            lastId = users[users.length - 1].id;
+
+            const ids = [];
+            const keys = [];
+            for (const user of users) {
+                const nameKey = computeNameKey(user.name, policy);
+                if (nameKey === null) continue;
+                if (!user.deletedAt) {
+                    if (activeKeys.has(nameKey)) {
+                        conflicts.push({ id: user.id, name: user.name, conflictWith: activeKeys.get(nameKey) });
+                        continue;
+                    }
+                    activeKeys.set(nameKey, user.id);
+                }
+                ids.push(user.id);
+                keys.push(nameKey);
+            }
+
+            if (ids.length > 0) {
+                updated += await tx.$executeRaw`
+                    UPDATE "User" AS u SET "nameKey" = v.key
+                    FROM (SELECT unnest(${ids}::int[]) AS id, unnest(${keys}::text[]) AS key) AS v
+                    WHERE u.id = v.id`;
+            }
+            console.log(`已处理到用户 ID ${lastId}`);
+        }
+
+        return { updated, conflicts };
+    }, { timeout: 10 * 60 * 1000 });
+
+    console.log(`\n✓ 已写入 ${result.updated} 个用户的 nameKey`);
+    if (result.conflicts.length > 0) {
+        console.warn(`⚠️  ${result.conflicts.length} 个未删除用户与其他用户重名，nameKey 已置为 NULL：`);
+        for (const item of result.conflicts) {
+            console.warn(`  - 用户 ID ${item.id}「${item.name}」与用户 ID ${item.conflictWith} 重名`);
+        }
+        process.exitCode = 1;
+    }
+}
+
+main()
+    .catch((error) => {
+        console.error('❌ 重新计算失败:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => prisma.$disconnect());
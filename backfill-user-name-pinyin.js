@@ -0,0 +1,62 @@
+require('dotenv').config();
+const prisma = require('./prisma/client');
+const { computeNamePinyin } = require('./utils/userSearch');
+
+/**
+ * 为已有用户计算拼音全拼和首字母（模糊搜索使用）
+ * 执行 add_user_name_pinyin.sql 后运行：node backfill-user-name-pinyin.js
+ * 默认只处理尚未计算拼音的用户；加 --all 重新计算所有用户（例如升级 pinyin-pro 后）
+ */
+
+const BATCH_SIZE = 1000;
+
+async function main() {
+    const all = process.argv.includes('--all');
+    console.log(`=== 计算用户名拼音（${all ? '全部用户' : '仅未计算的用户'}） ===\n`);
+
+    let updated = 0;
+    let lastId = 0;
+
+    while (true) {
+        const users = await prisma.executeWithRetry((p) =>
+            p.user.findMany({
+                where: {
+                    id: { gt: lastId },
+                    ...(all ? {} : { namePinyin: null })
+                },
+                select: { id: true, name: true },
+                orderBy: { id: 'asc' },
+                take: BATCH_SIZE
+            })
+        );
+        if (users.length === 0) break;
+        lastId = users[users.length - 1].id;
+
+        const ids = [];
+        const pinyins = [];
+        const initials = [];
+        for (const user of users) {
+            const { namePinyin, nameInitials } = computeNamePinyin(user.name);
+            ids.push(user.id);
+            pinyins.push(namePinyin);
+            initials.push(nameInitials);
+        }
+
+        updated += await prisma.executeWithRetry((p) => p.$executeRaw`
+            UPDATE "User" AS u SET "namePinyin" = v.pinyin, "nameInitials" = v.initials
+            FROM (
+                SELECT unnest(${ids}::int[]) AS id, unnest(${pinyins}::text[]) AS pinyin, unnest(${initials}::text[]) AS initials
+            ) AS v
+            WHERE u.id = v.id`);
+        console.log(`已处理到用户 ID ${lastId}`);
+    }
+
+    console.log(`\n✓ 已计算 ${updated} 个用户的拼音`);
+}
+
+main()
+    .catch((error) => {
+        console.error('❌ 计算拼音失败:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => prisma.$disconnect());
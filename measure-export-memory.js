@@ -0,0 +1,136 @@
+require('dotenv').config();
+const fs = require('fs');
+const { fork } = require('child_process');
+const prisma = require('./prisma/client');
+const { computeNameKey } = require('./utils/userNamePolicy');
+const { computeNamePinyin } = require('./utils/userSearch');
+
+/**
+ * 测量导出用户时的峰值内存（RSS）、文件大小和耗时，README 中的导出内存表格由它生成
+ * 用法：node measure-export-memory.js [用户数] [格式...]
+ * 例如：node measure-export-memory.js 1000000 csv xlsx（默认 100 万用户，导出 excel 以外的全部格式，xlsx 与 excel 相同）
+ *
+ * 用户数不足时先批量创建用户（用户名为 measure_1、measure_2 ……），请在单独的测试数据库上运行；
+ * 每种格式在单独的子进程中导出，子进程每 50 毫秒记录一次 process.memoryUsage().rss，导出后删除文件
+ */
+
+const DEFAULT_USER_COUNT = 1000000;
+const DEFAULT_FORMATS = ['csv', 'tsv', 'json', 'ndjson', 'html', 'xlsx'];
+const SEED_BATCH_SIZE = 1000;
+const SAMPLE_INTERVAL_MS = 50;
+
+/**
+ * 补足未删除的用户到 count 个
+ */
+async function seedUsers(count) {
+    const existing = await prisma.user.count({ where: { deletedAt: null } });
+    if (existing >= count) {
+        console.log(`已有 ${existing} 个用户，跳过创建`);
+        return;
+    }
+
+    const { _max } = await prisma.user.aggregate({ _max: { id: true } });
+    let next = (_max.id || 0) + 1;
+    let remaining = count - existing;
+    console.log(`创建 ${remaining} 个用户...`);
+    const startedAt = Date.now();
+    while (remaining > 0) {
+        const size = Math.min(SEED_BATCH_SIZE, remaining);
+        const data = [];
+        for (let i = 0; i < size; i++, next++) {
+            const name = `measure_${next}`;
+            data.push({ name, nameKey: computeNameKey(name), ...computeNamePinyin(name) });
+        }
+        await prisma.user.createMany({ data });
+        remaining -= size;
+    }
+    console.log(`创建完成，耗时 ${Math.round((Date.now() - startedAt) / 1000)} 秒\n`);
+}
+
+/**
+ * 在子进程中导出一种格式，返回 { peakRss, fileSize, seconds, totalRecords }
+ */
+function measureFormat(format) {
+    return new Promise((resolve, reject) => {
+        // 导出过程的日志很多，子进程只保留错误输出
+        const child = fork(__filename, ['--child', format], { stdio: ['ignore', 'ignore', 'inherit', 'ipc'] });
+        let result = null;
+        child.on('message', (message) => { result = message; });
+        child.on('error', reject);
+        child.on('exit', (code) => {
+            if (result && !result.error) {
+                resolve(result);
+            } else {
+                reject(new Error((result && result.error) || `子进程退出码 ${code}`));
+            }
+        });
+    });
+}
+
+/**
+ * 子进程：导出一次并把测量结果发回父进程
+ */
+async function runChild(format) {
+    const { exportRecords } = require('./utils/exportHandlers');
+    let peakRss = process.memoryUsage().rss;
+    const timer = setInterval(() => {
+        peakRss = Math.max(peakRss, process.memoryUsage().rss);
+    }, SAMPLE_INTERVAL_MS);
+
+    try {
+        const startedAt = Date.now();
+        const { filePath, totalRecords } = await exportRecords(prisma, format);
+        const seconds = (Date.now() - startedAt) / 1000;
+        peakRss = Math.max(peakRss, process.memoryUsage().rss);
+        const fileSize = fs.statSync(filePath).size;
+        fs.unlinkSync(filePath);
+        process.send({ peakRss, fileSize, seconds, totalRecords });
+    } catch (error) {
+        process.send({ error: error.message });
+    } finally {
+        clearInterval(timer);
+        await prisma.$disconnect();
+    }
+}
+
+function toMB(bytes) {
+    return Math.round(bytes / 1024 / 1024);
+}
+
+async function main() {
+    const [countText, ...formatArgs] = process.argv.slice(2);
+    const count = countText ? Number(countText) : DEFAULT_USER_COUNT;
+    if (!Number.isInteger(count) || count < 1) {
+        throw new Error(`用户数无效: ${countText}`);
+    }
+    const formats = formatArgs.length > 0 ? formatArgs : DEFAULT_FORMATS;
+
+    console.log('=== 导出内存测量 ===\n');
+    console.log(`Node.js ${process.version}，${require('os').cpus().length} 核 CPU\n`);
+    await seedUsers(count);
+    await prisma.$disconnect();
+
+    const rows = [];
+    for (const format of formats) {
+        console.log(`导出 ${format}...`);
+        const result = await measureFormat(format);
+        console.log(`  ${result.totalRecords} 条记录，峰值 RSS ${toMB(result.peakRss)} MB，` +
+            `文件 ${toMB(result.fileSize)} MB，耗时 ${result.seconds.toFixed(1)} 秒`);
+        rows.push(`| ${format} | ${toMB(result.peakRss)} MB | ${toMB(result.fileSize)} MB | ${Math.round(result.seconds)} 秒 |`);
+    }
+
+    console.log('\n| 格式 | 峰值内存（RSS） | 文件大小 | 耗时 |');
+    console.log('|------|-----------------|----------|------|');
+    rows.forEach(row => console.log(row));
+}
+
+if (process.argv[2] === '--child') {
+    runChild(process.argv[3]);
+} else {
+    main()
+        .catch((error) => {
+            console.error('测量失败:', error.message);
+            process.exitCode = 1;
+        })
+        .finally(() => prisma.$disconnect());
+}
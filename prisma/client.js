@@ -74,6 +74,10 @@ function getPrismaClient() {
     prismaInstance = new PrismaClient({
       log: isDevEnv ? ['error', 'warn'] : ['error'],
       errorFormat: 'pretty',
+      // nameKey（重名判断）、namePinyin / nameInitials（拼音搜索）是内部字段，不在查询结果中返回
+      omit: {
+        user: { nameKey: true, namePinyin: true, nameInitials: true }
+      },
       datasources: {
         db: {
           url: databaseUrl
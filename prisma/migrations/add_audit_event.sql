@@ -0,0 +1,19 @@
+-- 创建审计日志表，记录用户的创建、修改和删除
+CREATE TABLE IF NOT EXISTS "audit_event" (
+    "id" SERIAL NOT NULL,
+    "actor" TEXT,
+    "action" TEXT NOT NULL,
+    "entity" TEXT NOT NULL,
+    "entityId" INTEGER,
+    "before" JSONB,
+    "after" JSONB,
+    "source" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "audit_event_pkey" PRIMARY KEY ("id")
+);
+
+-- 按实体、来源和时间查询审计记录
+CREATE INDEX IF NOT EXISTS "audit_event_entity_entityId_idx" ON "audit_event"("entity", "entityId");
+CREATE INDEX IF NOT EXISTS "audit_event_source_idx" ON "audit_event"("source");
+CREATE INDEX IF NOT EXISTS "audit_event_createdAt_idx" ON "audit_event"("createdAt");
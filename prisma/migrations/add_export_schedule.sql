@@ -0,0 +1,42 @@
+-- 创建定时导出表，按 cron 表达式定期创建导出任务
+CREATE TABLE IF NOT EXISTS "export_schedule" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "cron" TEXT NOT NULL,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "entity" TEXT NOT NULL DEFAULT 'users',
+    "format" TEXT NOT NULL,
+    "filter" JSONB,
+    "sort" TEXT,
+    "columns" JSONB,
+    "header_language" TEXT NOT NULL DEFAULT 'zh',
+    "date_format" TEXT,
+    "compression" TEXT,
+    "max_rows_per_file" INTEGER,
+    "last_run_at" TIMESTAMP(3),
+    "next_run_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "export_schedule_pkey" PRIMARY KEY ("id")
+);
+
+-- 调度器按启用状态和下次运行时间查找到期的定时导出
+CREATE INDEX IF NOT EXISTS "export_schedule_enabled_next_run_at_idx" ON "export_schedule"("enabled", "next_run_at");
+
+-- 导出任务关联创建它的定时导出，用于查看运行历史
+ALTER TABLE "export_task" ADD COLUMN IF NOT EXISTS "schedule_id" INTEGER;
+
+CREATE INDEX IF NOT EXISTS "export_task_schedule_id_idx" ON "export_task"("schedule_id");
+
+-- 定时导出被删除时保留已创建的任务，schedule_id 置为 NULL
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'export_task_schedule_id_fkey'
+    ) THEN
+        ALTER TABLE "export_task"
+            ADD CONSTRAINT "export_task_schedule_id_fkey"
+            FOREIGN KEY ("schedule_id") REFERENCES "export_schedule"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+    END IF;
+END $$;
@@ -0,0 +1,4 @@
+-- 为 export_task 表添加导出的列、表头语言和日期格式
+ALTER TABLE "export_task" ADD COLUMN IF NOT EXISTS "columns" JSONB;
+ALTER TABLE "export_task" ADD COLUMN IF NOT EXISTS "header_language" TEXT NOT NULL DEFAULT 'zh';
+ALTER TABLE "export_task" ADD COLUMN IF NOT EXISTS "date_format" TEXT;
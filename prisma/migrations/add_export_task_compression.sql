@@ -0,0 +1,4 @@
+-- 为 export_task 表添加压缩方式、分卷行数和压缩后的文件大小
+ALTER TABLE "export_task" ADD COLUMN IF NOT EXISTS "compression" TEXT;
+ALTER TABLE "export_task" ADD COLUMN IF NOT EXISTS "max_rows_per_file" INTEGER;
+ALTER TABLE "export_task" ADD COLUMN IF NOT EXISTS "compressed_size" BIGINT;
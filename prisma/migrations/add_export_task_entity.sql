@@ -0,0 +1,2 @@
+-- 为 export_task 表添加导出实体（users、infoViews），已有任务均为用户导出
+ALTER TABLE "export_task" ADD COLUMN IF NOT EXISTS "entity" TEXT NOT NULL DEFAULT 'users';
@@ -0,0 +1,3 @@
+-- 导出任务保存筛选条件和排序参数
+ALTER TABLE "export_task" ADD COLUMN IF NOT EXISTS "filter" JSONB;
+ALTER TABLE "export_task" ADD COLUMN IF NOT EXISTS "sort" TEXT;
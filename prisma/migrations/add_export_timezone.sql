@@ -0,0 +1,5 @@
+-- 为导出任务和定时导出添加本地时间使用的时区和语言区域
+ALTER TABLE "export_task" ADD COLUMN IF NOT EXISTS "timezone" TEXT;
+ALTER TABLE "export_task" ADD COLUMN IF NOT EXISTS "locale" TEXT;
+ALTER TABLE "export_schedule" ADD COLUMN IF NOT EXISTS "timezone" TEXT;
+ALTER TABLE "export_schedule" ADD COLUMN IF NOT EXISTS "locale" TEXT;
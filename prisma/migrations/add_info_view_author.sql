@@ -0,0 +1,16 @@
+-- 为 info_view 表添加作者（关联 User），作者可为空
+ALTER TABLE "info_view" ADD COLUMN IF NOT EXISTS "author_id" INTEGER;
+
+CREATE INDEX IF NOT EXISTS "info_view_author_id_idx" ON "info_view"("author_id");
+
+-- 用户被永久删除时作者置为 NULL（cascade / block 策略由应用在清理回收站时处理，见 INFO_VIEW_AUTHOR_DELETE_POLICY）
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'info_view_author_id_fkey'
+    ) THEN
+        ALTER TABLE "info_view"
+            ADD CONSTRAINT "info_view_author_id_fkey"
+            FOREIGN KEY ("author_id") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+    END IF;
+END $$;
@@ -0,0 +1,23 @@
+-- 创建信息视图版本表，每次修改内容时保存一个版本
+CREATE TABLE IF NOT EXISTS "info_view_revision" (
+    "id" SERIAL NOT NULL,
+    "info_view_id" INTEGER NOT NULL,
+    "revision" INTEGER NOT NULL,
+    "content" TEXT NOT NULL,
+    "action" TEXT NOT NULL,
+    "rolled_back_from" INTEGER,
+    "actor" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "info_view_revision_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "info_view_revision_info_view_id_fkey" FOREIGN KEY ("info_view_id") REFERENCES "info_view"("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- 每个信息视图的版本号唯一
+CREATE UNIQUE INDEX IF NOT EXISTS "info_view_revision_info_view_id_revision_key" ON "info_view_revision"("info_view_id", "revision");
+
+-- 为已有的信息视图保存当前内容作为第 1 个版本
+INSERT INTO "info_view_revision" ("info_view_id", "revision", "content", "action", "created_at")
+SELECT v."id", 1, v."content", 'create', v."updated_at"
+FROM "info_view" v
+WHERE NOT EXISTS (SELECT 1 FROM "info_view_revision" r WHERE r."info_view_id" = v."id");
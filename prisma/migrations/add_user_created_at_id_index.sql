@@ -0,0 +1,2 @@
+-- 用户列表按 (createdAt, id) 排序并做键集分页，添加复合索引
+CREATE INDEX IF NOT EXISTS "User_createdAt_id_idx" ON "User"("createdAt", "id");
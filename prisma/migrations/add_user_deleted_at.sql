@@ -0,0 +1,5 @@
+-- 为 User 表添加软删除字段
+ALTER TABLE "User" ADD COLUMN IF NOT EXISTS "deletedAt" TIMESTAMP(3);
+
+-- 回收站查询和清理都按 deletedAt 过滤
+CREATE INDEX IF NOT EXISTS "User_deletedAt_idx" ON "User"("deletedAt");
@@ -0,0 +1,9 @@
+-- 为 User 表添加用户名唯一键（按 USER_NAME_DUPLICATE_POLICY 计算，allow 策略下为 NULL）
+ALTER TABLE "User" ADD COLUMN IF NOT EXISTS "nameKey" TEXT;
+
+-- 只约束未删除的用户：回收站中的同名用户不影响新建，恢复时再检查冲突
+CREATE UNIQUE INDEX IF NOT EXISTS "User_nameKey_active_key" ON "User"("nameKey") WHERE "deletedAt" IS NULL;
+
+-- 执行后必须运行 node backfill-user-name-key.js：已有用户的 nameKey 为 NULL，回填前不受唯一索引约束
+-- 修改重复策略后也需重新运行该脚本重新计算已有用户的 nameKey
+-- 该索引无法在 schema.prisma 中声明，prisma db push 会删除它，推送后需重新执行本文件
@@ -0,0 +1,14 @@
+-- 用户模糊搜索：三元组相似度（pg_trgm）和拼音匹配
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- 拼音全拼和首字母，写入用户时由应用计算
+ALTER TABLE "User" ADD COLUMN IF NOT EXISTS "namePinyin" TEXT;
+ALTER TABLE "User" ADD COLUMN IF NOT EXISTS "nameInitials" TEXT;
+
+-- 三元组索引，支持 % 相似度匹配和 LIKE / ILIKE 匹配
+CREATE INDEX IF NOT EXISTS "User_name_trgm_idx" ON "User" USING GIN ("name" gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS "User_namePinyin_trgm_idx" ON "User" USING GIN ("namePinyin" gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS "User_nameInitials_idx" ON "User" ("nameInitials" text_pattern_ops);
+
+-- 已有用户需运行 node backfill-user-name-pinyin.js 计算拼音
+-- 这些索引无法在 schema.prisma 中声明，prisma db push 会删除它们，推送后需重新执行本文件
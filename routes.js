@@ -4,18 +4,74 @@ const path = require('path');
 const fs = require('fs');
 const multer = require('multer');
 const prisma = require('./prisma/client');
-const { getUsersList, getUserById, createUser, deleteUser } = require('./utils/userHandlers');
-const { handleDatabaseError } = require('./utils/dbErrorHandler');
-const { exportUsers } = require('./utils/exportHandlers');
+const {
+    getUsersList,
+    getUserById,
+    createUser,
+    updateUser,
+    deleteUser,
+    bulkDeleteUsers,
+    getTrashList,
+    restoreUser,
+    purgeTrash
+} = require('./utils/userHandlers');
+const {
+    getInfoViewsList,
+    getUserInfoViews,
+    getInfoViewById,
+    createInfoView,
+    updateInfoView,
+    deleteInfoView
+} = require('./utils/infoViewHandlers');
+const {
+    getInfoViewRevisions,
+    getInfoViewRevision,
+    diffInfoViewRevisions,
+    rollbackInfoView
+} = require('./utils/infoViewRevisionHandlers');
+const { EXPORT_FORMATS, exportRecords, parseExportFilter, cleanupExportFiles } = require('./utils/exportHandlers');
+const { EXPORT_ENTITIES } = require('./utils/exportEntities');
+const { ARCHIVE_MIME_TYPES } = require('./utils/exportArchive');
+const { getExportExpiresAt, isExportExpired, isExpiredTaskId } = require('./utils/exportRetention');
+const { sendFile } = require('./utils/fileDownload');
 const taskManager = require('./utils/exportTaskManager');
-const { importUsers, generateTemplate, countRecords } = require('./utils/importHandlers');
+const {
+    getExportSchedules,
+    getExportScheduleById,
+    createExportSchedule,
+    updateExportSchedule,
+    deleteExportSchedule,
+    getExportScheduleTasks,
+    runExportScheduleNow,
+    runDueExportSchedules
+} = require('./utils/exportScheduleHandlers');
+const { IMPORT_DUPLICATE_ACTIONS, importRecords, generateTemplate, countRecords } = require('./utils/importHandlers');
+const { DEFAULT_IMPORT_ENTITY, IMPORT_ENTITIES, getImportEntity } = require('./utils/importEntities');
 const importTaskManager = require('./utils/importTaskManager');
+const { ERROR_CODES, sendValidationError } = require('./utils/validation');
+const { getActor } = require('./utils/auditLog');
+const { getAuditEvents } = require('./utils/auditHandlers');
 
 // 获取所有用户（支持分页）
 router.get('/users', async (req, res) => {
     await getUsersList(req, res, prisma);
 });
 
+// 获取回收站中的用户列表（需在 /users/:id 之前注册）
+router.get('/users/trash', async (req, res) => {
+    await getTrashList(req, res, prisma);
+});
+
+// 永久清理回收站中超过保留期的用户
+router.post('/users/trash/purge', async (req, res) => {
+    await purgeTrash(req, res, prisma);
+});
+
+// 批量删除用户（移入回收站）
+router.post('/users/bulk-delete', async (req, res) => {
+    await bulkDeleteUsers(req, res, prisma);
+});
+
 // 获取单个用户
 router.get('/users/:id', async (req, res) => {
     await getUserById(req, res, prisma, req.params.id);
@@ -26,40 +82,109 @@ router.post('/users', async (req, res) => {
     await createUser(req, res, prisma);
 });
 
-// 删除用户
+// 更新用户（部分更新）
+router.patch('/users/:id', async (req, res) => {
+    await updateUser(req, res, prisma, req.params.id);
+});
+
+// 更新用户（整体替换）
+router.put('/users/:id', async (req, res) => {
+    await updateUser(req, res, prisma, req.params.id, { partial: false });
+});
+
+// 删除用户（移入回收站）
 router.delete('/users/:id', async (req, res) => {
     await deleteUser(req, res, prisma, req.params.id);
 });
 
-// 获取信息视图列表
+// 从回收站恢复用户
+router.post('/users/:id/restore', async (req, res) => {
+    await restoreUser(req, res, prisma, req.params.id);
+});
+
+// 获取用户作为作者的信息视图列表
+router.get('/users/:id/infoViews', async (req, res) => {
+    await getUserInfoViews(req, res, prisma, req.params.id);
+});
+
+// 获取信息视图列表（支持分页和内容搜索）
 router.get('/infoViews', async (req, res) => {
-    try {
-        const infoViews = await prisma.executeWithRetry((p) => p.infoView.findMany());
-        res.json(infoViews);
-    } catch (error) {
-        const dbError = handleDatabaseError(error, res);
-        if (dbError) return;
-        res.status(500).json({ error: '获取信息视图列表失败', details: error.message });
-    }
+    await getInfoViewsList(req, res, prisma);
+});
+
+// 获取单个信息视图
+router.get('/infoViews/:id', async (req, res) => {
+    await getInfoViewById(req, res, prisma, req.params.id);
+});
+
+// 添加信息视图
+router.post('/infoViews', async (req, res) => {
+    await createInfoView(req, res, prisma);
+});
+
+// 更新信息视图（部分更新）
+router.patch('/infoViews/:id', async (req, res) => {
+    await updateInfoView(req, res, prisma, req.params.id);
+});
+
+// 更新信息视图（整体替换）
+router.put('/infoViews/:id', async (req, res) => {
+    await updateInfoView(req, res, prisma, req.params.id, { partial: false });
+});
+
+// 删除信息视图
+router.delete('/infoViews/:id', async (req, res) => {
+    await deleteInfoView(req, res, prisma, req.params.id);
+});
+
+// 获取信息视图的版本列表
+router.get('/infoViews/:id/revisions', async (req, res) => {
+    await getInfoViewRevisions(req, res, prisma, req.params.id);
+});
+
+// 按行比较信息视图的两个版本（需在 /revisions/:revision 之前注册）
+router.get('/infoViews/:id/revisions/diff', async (req, res) => {
+    await diffInfoViewRevisions(req, res, prisma, req.params.id);
+});
+
+// 获取信息视图的单个版本
+router.get('/infoViews/:id/revisions/:revision', async (req, res) => {
+    await getInfoViewRevision(req, res, prisma, req.params.id, req.params.revision);
+});
+
+// 回滚信息视图到指定版本
+router.post('/infoViews/:id/revisions/:revision/rollback', async (req, res) => {
+    await rollbackInfoView(req, res, prisma, req.params.id, req.params.revision);
+});
+
+// 查询审计日志（支持筛选和分页）
+router.get('/audit', async (req, res) => {
+    await getAuditEvents(req, res, prisma);
 });
 
 // 导出相关路由
 // 创建导出任务
 router.post('/export', async (req, res) => {
     try {
-        const { format = 'json', name: searchName } = req.body;
+        const { format = 'json' } = req.body;
         
-        // 验证格式
-        const validFormats = ['json', 'excel', 'xlsx', 'csv'];
-        if (!validFormats.includes(format.toLowerCase())) {
-            return res.status(400).json({ error: '不支持的导出格式', validFormats });
+        // 验证格式（与 EXPORT_WRITERS 中登记的写入器一致）
+        if (typeof format !== 'string' || !EXPORT_FORMATS.includes(format.toLowerCase())) {
+            return res.status(400).json({ error: '不支持的导出格式', validFormats: EXPORT_FORMATS });
         }
 
+        // 解析导出实体、筛选、排序参数（筛选和排序与该实体的列表接口相同）和导出的列、表头、日期格式
+        const { entity, filter, sort, sortParam, options, errors } = parseExportFilter(req.body);
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        const searchName = filter[EXPORT_ENTITIES[entity].searchField] || null;
+
         // 创建任务
-        const taskId = await taskManager.createTask(format.toLowerCase(), searchName);
+        const taskId = await taskManager.createTask(format.toLowerCase(), searchName, { entity, filter, sort: sortParam, ...options });
         
         // 异步执行导出任务
-        exportUsers(prisma, format.toLowerCase(), searchName, taskId)
+        exportRecords(prisma, format.toLowerCase(), filter, taskId, { entity, sort, sortByRelevance: !sortParam, ...options })
             .catch(error => {
                 console.error('导出任务失败:', error);
             });
@@ -75,6 +200,51 @@ router.post('/export', async (req, res) => {
     }
 });
 
+// 清理过期的导出任务和文件，以及没有任务记录的导出文件
+router.post('/export/cleanup', async (req, res) => {
+    await cleanupExportFiles(req, res);
+});
+
+// 定时导出：按 cron 表达式定期创建导出任务
+router.get('/export/schedules', async (req, res) => {
+    await getExportSchedules(req, res, prisma);
+});
+
+router.post('/export/schedules', async (req, res) => {
+    await createExportSchedule(req, res, prisma);
+});
+
+// 运行所有到期的定时导出（供 Vercel Cron 调用，Vercel Cron 发送 GET 请求）
+router.get('/export/schedules/run-due', async (req, res) => {
+    await runDueExportSchedules(req, res, prisma);
+});
+
+router.post('/export/schedules/run-due', async (req, res) => {
+    await runDueExportSchedules(req, res, prisma);
+});
+
+router.get('/export/schedules/:id', async (req, res) => {
+    await getExportScheduleById(req, res, prisma, req.params.id);
+});
+
+router.patch('/export/schedules/:id', async (req, res) => {
+    await updateExportSchedule(req, res, prisma, req.params.id);
+});
+
+router.delete('/export/schedules/:id', async (req, res) => {
+    await deleteExportSchedule(req, res, prisma, req.params.id);
+});
+
+// 立即运行一次定时导出
+router.post('/export/schedules/:id/run', async (req, res) => {
+    await runExportScheduleNow(req, res, prisma, req.params.id);
+});
+
+// 定时导出的运行历史（创建的导出任务）
+router.get('/export/schedules/:id/tasks', async (req, res) => {
+    await getExportScheduleTasks(req, res, prisma, req.params.id);
+});
+
 // 查询导出任务状态
 router.get('/export/:taskId/status', async (req, res) => {
     try {
@@ -90,10 +260,16 @@ router.get('/export/:taskId/status', async (req, res) => {
             status: task.status,
             progress: task.progress,
             format: task.format,
+            entity: task.entity,
             fileName: task.fileName,
             error: task.error,
             totalRecords: task.totalRecords,
-            processedRecords: task.processedRecords
+            processedRecords: task.processedRecords,
+            compression: task.compression,
+            maxRowsPerFile: task.maxRowsPerFile,
+            compressedSize: task.compressedSize,
+            scheduleId: task.scheduleId,
+            expiresAt: getExportExpiresAt(task)
         });
     } catch (error) {
         console.error('查询任务状态失败:', error);
@@ -101,6 +277,34 @@ router.get('/export/:taskId/status', async (req, res) => {
     }
 });
 
+// 取消导出任务
+router.post('/export/:taskId/cancel', async (req, res) => {
+    try {
+        const { taskId } = req.params;
+        const { task, cancelled } = await taskManager.cancelTask(taskId);
+
+        if (!task) {
+            return res.status(404).json({ error: '任务不存在' });
+        }
+
+        // 重复取消时返回相同结果；已完成或已失败的任务不能取消
+        if (!cancelled && task.status !== 'cancelled') {
+            return res.status(409).json({ error: '任务已结束，不能取消', status: task.status });
+        }
+
+        res.json({
+            taskId: task.taskId,
+            status: task.status,
+            message: '导出任务已取消',
+            totalRecords: task.totalRecords,
+            processedRecords: task.processedRecords
+        });
+    } catch (error) {
+        console.error('取消导出任务失败:', error);
+        res.status(500).json({ error: '取消导出任务失败', details: error.message });
+    }
+});
+
 // 下载导出文件
 router.get('/export/:taskId/download', async (req, res) => {
     try {
@@ -108,9 +312,18 @@ router.get('/export/:taskId/download', async (req, res) => {
         const task = await taskManager.getTask(taskId);
 
         if (!task) {
+            // 过期后被清理的任务返回 410
+            if (isExpiredTaskId(taskId)) {
+                return res.status(410).json({ error: '导出文件已过期' });
+            }
             return res.status(404).json({ error: '任务不存在' });
         }
 
+        // 过期的任务（文件可能已被清理）返回 410
+        if (isExportExpired(task)) {
+            return res.status(410).json({ error: '导出文件已过期', expiresAt: getExportExpiresAt(task) });
+        }
+
         if (task.status !== 'completed') {
             return res.status(400).json({ 
                 error: '任务尚未完成', 
@@ -123,28 +336,24 @@ router.get('/export/:taskId/download', async (req, res) => {
             return res.status(404).json({ error: '导出文件不存在' });
         }
 
-        // 设置下载响应头
+        // 下载文件的 Content-Type
         const mimeTypes = {
             'json': 'application/json',
             'excel': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
             'xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-            'csv': 'text/csv'
+            'csv': 'text/csv',
+            'ndjson': 'application/x-ndjson',
+            'tsv': 'text/tab-separated-values',
+            'html': 'text/html; charset=utf-8'
         };
 
-        const mimeType = mimeTypes[task.format] || 'application/octet-stream';
-        res.setHeader('Content-Type', mimeType);
-        res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(task.fileName)}"`);
-
-        // 发送文件
-        const fileStream = fs.createReadStream(task.filePath);
-        fileStream.pipe(res);
+        // 压缩后的导出文件按压缩包的类型下载
+        const mimeType = task.compression
+            ? ARCHIVE_MIME_TYPES[task.compression]
+            : mimeTypes[task.format] || 'application/octet-stream';
 
-        fileStream.on('error', (error) => {
-            console.error('读取文件失败:', error);
-            if (!res.headersSent) {
-                res.status(500).json({ error: '读取文件失败' });
-            }
-        });
+        // 发送文件（支持 Range 断点续传、ETag / Last-Modified 和 HEAD 请求，见 fileDownload）
+        sendFile(req, res, task.filePath, { contentType: mimeType, fileName: task.fileName });
     } catch (error) {
         console.error('下载文件失败:', error);
         if (!res.headersSent) {
@@ -169,7 +378,17 @@ router.get('/import/template/:format', async (req, res) => {
             return res.status(400).json({ error: '不支持的模板格式', validFormats });
         }
 
-        const { fileName, filePath } = generateTemplate(format.toLowerCase());
+        // 模板对应的实体（查询参数 entity，默认为 users）
+        const entity = req.query.entity || DEFAULT_IMPORT_ENTITY;
+        if (!getImportEntity(entity)) {
+            return sendValidationError(res, [{
+                field: 'entity',
+                code: ERROR_CODES.INVALID_VALUE,
+                message: `不支持导入 ${entity}，可用实体: ${Object.keys(IMPORT_ENTITIES).join(', ')}`
+            }]);
+        }
+
+        const { fileName, filePath } = generateTemplate(format.toLowerCase(), entity);
 
         if (!fs.existsSync(filePath)) {
             return res.status(404).json({ error: '模板文件不存在' });
@@ -258,10 +477,40 @@ router.post('/import', (req, res, next) => {
             return res.status(400).json({ error: '不支持的文件格式，仅支持 JSON、CSV、Excel 格式' });
         }
 
+        // 导入的实体（表单字段 entity，默认为 users）
+        const entity = (req.body && req.body.entity) || DEFAULT_IMPORT_ENTITY;
+        if (!getImportEntity(entity)) {
+            fs.unlinkSync(filePath);
+            return sendValidationError(res, [{
+                field: 'entity',
+                code: ERROR_CODES.INVALID_VALUE,
+                message: `不支持导入 ${entity}，可用实体: ${Object.keys(IMPORT_ENTITIES).join(', ')}`
+            }]);
+        }
+
+        // 用户名重复时的处理方式（表单字段 onDuplicate，默认记为失败），只有支持重名处理的实体可以指定
+        if (req.body && req.body.onDuplicate && !getImportEntity(entity).supportsDuplicate) {
+            fs.unlinkSync(filePath);
+            return sendValidationError(res, [{
+                field: 'onDuplicate',
+                code: ERROR_CODES.INVALID_VALUE,
+                message: `导入 ${entity} 不支持 onDuplicate`
+            }]);
+        }
+        const onDuplicate = (req.body && req.body.onDuplicate) || 'fail';
+        if (!IMPORT_DUPLICATE_ACTIONS.includes(onDuplicate)) {
+            fs.unlinkSync(filePath);
+            return sendValidationError(res, [{
+                field: 'onDuplicate',
+                code: ERROR_CODES.INVALID_VALUE,
+                message: `onDuplicate 必须是 ${IMPORT_DUPLICATE_ACTIONS.join(' / ')} 之一`
+            }]);
+        }
+
         // 快速统计数据条数
         let recordCount = 0;
         try {
-            recordCount = await countRecords(filePath, format);
+            recordCount = await countRecords(filePath, format, entity);
             console.log(`文件统计完成，共 ${recordCount} 条记录`);
         } catch (error) {
             console.error('统计记录数失败:', error);
@@ -276,11 +525,11 @@ router.post('/import', (req, res, next) => {
 
         // 所有导入都使用异步方式（无论数据量多少）
         // 创建导入任务
-        const taskId = importTaskManager.createTask(format, originalName);
-        console.log(`创建导入任务: ${taskId}, 记录数: ${recordCount}`);
+        const taskId = importTaskManager.createTask(format, originalName, { entity, onDuplicate });
+        console.log(`创建导入任务: ${taskId}, 实体: ${entity}, 记录数: ${recordCount}`);
 
         // 异步执行导入任务
-        importUsers(prisma, filePath, format, taskId)
+        importRecords(prisma, filePath, format, taskId, { entity, actor: getActor(req), onDuplicate })
             .then(() => {
                 // 导入完成后删除上传的文件
                 if (fs.existsSync(filePath)) {
@@ -301,6 +550,7 @@ router.post('/import', (req, res, next) => {
             message: '导入任务已创建（异步导入）',
             status: 'pending',
             format: format,
+            entity: entity,
             recordCount: recordCount
         });
     } catch (error) {
@@ -339,12 +589,16 @@ router.get('/import/:taskId/status', async (req, res) => {
             status: task.status,
             progress: task.progress,
             format: task.format,
+            entity: task.entity || DEFAULT_IMPORT_ENTITY,
             fileName: task.fileName,
             error: task.error,
             totalRecords: task.totalRecords,
             processedRecords: task.processedRecords,
             successRecords: task.successRecords,
             failedRecords: task.failedRecords,
+            skippedRecords: task.skippedRecords || 0,
+            updatedRecords: task.updatedRecords || 0,
+            onDuplicate: task.onDuplicate || 'fail',
             errors: task.errors
         });
     } catch (error) {
@@ -4,7 +4,10 @@ const path = require('path');
 const app = express();
 const PORT = process.env.PORT || 3000;
 const apiRoutes = require('./routes');
+const prisma = require('./prisma/client');
 const { connectPrisma, disconnectPrisma } = require('./prisma/client');
+const { startExportCleanupTimer } = require('./utils/exportRetention');
+const { startExportScheduler } = require('./utils/exportScheduler');
 
 // 中间件：告诉Express处理JSON请求，确保UTF-8编码
 app.use(express.json({ 
@@ -57,11 +60,24 @@ if (!process.env.VERCEL) {
             const server = app.listen(PORT, () => {
                 console.log(`API 服务器运行在 http://localhost:${PORT}`);
             });
+
+            // 定时清理过期的导出任务和文件（EXPORT_CLEANUP_INTERVAL_MINUTES，Vercel 上通过 POST /api/export/cleanup 清理）
+            const exportCleanupTimer = startExportCleanupTimer();
+
+            // 定时导出调度器（EXPORT_SCHEDULER_INTERVAL_SECONDS，Vercel 上由 Vercel Cron 调用 /api/export/schedules/run-due）
+            const exportSchedulerTimer = startExportScheduler(prisma);
             
             // 优雅关闭函数
             const gracefulShutdown = async (signal) => {
                 console.log(`\n收到 ${signal} 信号，正在关闭服务器...`);
                 
+                if (exportCleanupTimer) {
+                    clearInterval(exportCleanupTimer);
+                }
+                if (exportSchedulerTimer) {
+                    clearInterval(exportSchedulerTimer);
+                }
+
                 // 先关闭数据库连接
                 await disconnectPrisma();
                 
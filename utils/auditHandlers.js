@@ -0,0 +1,139 @@
+const { handleDatabaseError } = require('./dbErrorHandler');
+const { parsePaginationParams, toOrderBy, findManyByCursor } = require('./pagination');
+const { ERROR_CODES, sendValidationError } = require('./validation');
+
+// 审计记录按 id 倒序（即写入时间倒序）
+const AUDIT_SORT = [{ field: 'id', direction: 'desc' }];
+
+// entityId 筛选的最大数量
+const MAX_FILTER_ENTITY_IDS = 1000;
+
+/**
+ * 解析审计日志筛选条件
+ * - actor / action / entity / source：精确匹配
+ * - sourcePrefix：来源前缀匹配，例如 import: 匹配所有导入任务
+ * - entityId：实体ID列表（数组或逗号分隔）
+ * - from / to：记录时间范围（ISO 8601 或毫秒时间戳，包含边界）
+ * @returns {{ where: Object, errors: Array<{field: string, code: string, message: string}> }}
+ */
+function parseAuditFilter(query = {}) {
+    const errors = [];
+    const where = {};
+
+    for (const field of ['actor', 'action', 'entity', 'source']) {
+        const value = query[field];
+        if (value === undefined || value === '') continue;
+        if (typeof value !== 'string') {
+            errors.push({ field, code: ERROR_CODES.INVALID_TYPE, message: `${field} 必须是字符串` });
+            continue;
+        }
+        where[field] = value.trim();
+    }
+
+    if (query.sourcePrefix !== undefined && query.sourcePrefix !== '') {
+        if (typeof query.sourcePrefix !== 'string') {
+            errors.push({ field: 'sourcePrefix', code: ERROR_CODES.INVALID_TYPE, message: 'sourcePrefix 必须是字符串' });
+        } else if (where.source === undefined) {
+            where.source = { startsWith: query.sourcePrefix.trim() };
+        }
+    }
+
+    if (query.entityId !== undefined && query.entityId !== '') {
+        const list = Array.isArray(query.entityId) ? query.entityId : String(query.entityId).split(',');
+        const ids = list.map(id => Number(String(id).trim()));
+        if (ids.some(id => !Number.isInteger(id) || id <= 0)) {
+            errors.push({ field: 'entityId', code: ERROR_CODES.INVALID_VALUE, message: 'entityId 中包含无效的ID' });
+        } else if (ids.length > MAX_FILTER_ENTITY_IDS) {
+            errors.push({ field: 'entityId', code: ERROR_CODES.TOO_LONG, message: `entityId 最多包含 ${MAX_FILTER_ENTITY_IDS} 个ID` });
+        } else {
+            where.entityId = ids.length === 1 ? ids[0] : { in: ids };
+        }
+    }
+
+    for (const [field, op] of [['from', 'gte'], ['to', 'lte']]) {
+        const value = query[field];
+        if (value === undefined || value === '') continue;
+        const date = /^\d+$/.test(String(value)) ? new Date(Number(value)) : new Date(value);
+        if (isNaN(date.getTime())) {
+            errors.push({ field, code: ERROR_CODES.INVALID_VALUE, message: `${field} 不是有效的日期` });
+            continue;
+        }
+        where.createdAt = { ...(where.createdAt || {}), [op]: date };
+    }
+
+    return { where, errors };
+}
+
+/**
+ * 查询审计日志（支持筛选和分页，分页参数与用户列表接口相同）
+ */
+async function getAuditEvents(req, res, prisma) {
+    try {
+        const paging = parsePaginationParams(req.query);
+        const { where, errors } = parseAuditFilter(req.query);
+
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+
+        if (paging.mode === 'cursor') {
+            const result = await findManyByCursor(
+                (args) => prisma.executeWithRetry((p) => p.auditEvent.findMany(args)),
+                { where, sort: AUDIT_SORT, limit: paging.limit, cursor: paging.cursor }
+            );
+
+            if (!result) {
+                return sendValidationError(res, [
+                    { field: 'cursor', code: ERROR_CODES.INVALID_VALUE, message: '无效的分页游标' }
+                ]);
+            }
+
+            return res.json({
+                data: result.data,
+                pagination: {
+                    mode: 'cursor',
+                    limit: paging.limit,
+                    nextCursor: result.nextCursor,
+                    hasNext: result.hasNext
+                }
+            });
+        }
+
+        const [events, total] = await Promise.all([
+            prisma.executeWithRetry((p) =>
+                p.auditEvent.findMany({
+                    where,
+                    skip: paging.skip,
+                    take: paging.limit,
+                    orderBy: toOrderBy(AUDIT_SORT)
+                })
+            ),
+            prisma.executeWithRetry((p) => p.auditEvent.count({ where }))
+        ]);
+
+        const totalPages = Math.ceil(total / paging.limit);
+
+        res.json({
+            data: events,
+            pagination: {
+                mode: 'offset',
+                page: paging.page,
+                limit: paging.limit,
+                total,
+                totalPages,
+                hasNext: paging.page < totalPages,
+                hasPrev: paging.page > 1
+            }
+        });
+    } catch (error) {
+        const dbError = handleDatabaseError(error, res);
+        if (dbError) return;
+        console.error('获取审计日志失败:', error);
+        res.status(500).json({ error: '获取审计日志失败', details: error.message });
+    }
+}
+
+module.exports = {
+    parseAuditFilter,
+    getAuditEvents
+};
@@ -0,0 +1,97 @@
+/**
+ * 审计日志
+ * 记录用户数据的变更（谁、在什么时候、通过什么途径、改了什么）
+ * 审计记录与数据变更写在同一个事务中，保证两者同时成功或同时失败
+ */
+
+// 操作类型
+const AUDIT_ACTIONS = {
+    CREATE: 'create',
+    UPDATE: 'update',
+    DELETE: 'delete',
+    RESTORE: 'restore',
+    PURGE: 'purge'
+};
+
+// 变更来源
+const AUDIT_SOURCES = {
+    API: 'api',
+    BULK: 'bulk'
+};
+
+// 操作人的最大长度
+const ACTOR_MAX_LENGTH = 100;
+
+/**
+ * 导入任务的来源标识，例如 import:import_1700000000000_abc123
+ */
+function importSource(taskId) {
+    return `import:${taskId}`;
+}
+
+/**
+ * 从请求头 X-Actor 中获取操作人，未提供时返回 null
+ */
+function getActor(req) {
+    const value = req.headers && req.headers['x-actor'];
+    if (typeof value !== 'string' || value.trim() === '') {
+        return null;
+    }
+    return value.trim().slice(0, ACTOR_MAX_LENGTH);
+}
+
+/**
+ * 把记录转换为可写入 JSON 字段的普通对象（日期转为 ISO 字符串）
+ */
+function toAuditJson(record) {
+    return record ? JSON.parse(JSON.stringify(record)) : undefined;
+}
+
+/**
+ * 构建一条审计记录
+ * @param {Object} event - { actor, action, entity, entityId, before, after, source }
+ */
+function buildAuditEvent({ actor = null, action, entity, entityId = null, before = null, after = null, source }) {
+    return {
+        actor,
+        action,
+        entity,
+        entityId,
+        before: toAuditJson(before),
+        after: toAuditJson(after),
+        source
+    };
+}
+
+/**
+ * 写入一条审计记录
+ * @param {Object} tx - 事务中的 Prisma 客户端
+ */
+async function recordAuditEvent(tx, event) {
+    return tx.auditEvent.create({
+        data: buildAuditEvent(event)
+    });
+}
+
+/**
+ * 批量写入审计记录（批量删除、清理回收站等场景）
+ * @param {Object} tx - 事务中的 Prisma 客户端
+ * @param {Array<Object>} events
+ */
+async function recordAuditEvents(tx, events) {
+    if (events.length === 0) {
+        return { count: 0 };
+    }
+    return tx.auditEvent.createMany({
+        data: events.map(buildAuditEvent)
+    });
+}
+
+module.exports = {
+    AUDIT_ACTIONS,
+    AUDIT_SOURCES,
+    importSource,
+    getActor,
+    recordAuditEvent,
+    recordAuditEvents
+};
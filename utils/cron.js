@@ -0,0 +1,183 @@
+/**
+ * cron 表达式解析和下次运行时间计算（定时导出使用）
+ * 支持标准的 5 个字段：分 时 日 月 周，按 UTC 计算（与 Vercel Cron 相同）
+ * - 每个字段支持 *、数字、范围 a-b、步长 * /n 和 a-b/n、逗号分隔的列表
+ * - 月份和星期可以使用英文缩写（JAN-DEC、SUN-SAT），星期的 0 和 7 都表示周日
+ * - 日和星期都不是 * 时，满足其中一个即可（与标准 cron 相同）
+ * - 支持 @hourly、@daily、@weekly、@monthly、@yearly
+ */
+
+const MACROS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *'
+};
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+const FIELDS = [
+    { name: '分钟', min: 0, max: 59 },
+    { name: '小时', min: 0, max: 23 },
+    { name: '日', min: 1, max: 31 },
+    { name: '月', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+    { name: '星期', min: 0, max: 7, names: DAY_NAMES, nameOffset: 0 }
+];
+
+// 查找下次运行时间的最大年数，超过时认为不会再运行（例如 2 月 30 日）
+const MAX_SEARCH_YEARS = 5;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * 解析字段中的一个值（数字或英文缩写）
+ */
+function parseValue(text, field) {
+    const upper = text.toUpperCase();
+    if (field.names && field.names.includes(upper)) {
+        return field.names.indexOf(upper) + field.nameOffset;
+    }
+    if (!/^\d+$/.test(text)) {
+        throw new Error(`${field.name}字段的取值无效: ${text}`);
+    }
+    const value = Number(text);
+    if (value < field.min || value > field.max) {
+        throw new Error(`${field.name}字段的取值 ${value} 超出范围 ${field.min}-${field.max}`);
+    }
+    return value;
+}
+
+/**
+ * 解析一个字段，返回允许的取值集合
+ */
+function parseField(text, field) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const pieces = part.split('/');
+        if (pieces.length > 2) {
+            throw new Error(`${field.name}字段的步长无效: ${part}`);
+        }
+        const [rangeText, stepText] = pieces;
+        let step = 1;
+        if (stepText !== undefined) {
+            if (!/^\d+$/.test(stepText) || Number(stepText) === 0) {
+                throw new Error(`${field.name}字段的步长无效: ${part}`);
+            }
+            step = Number(stepText);
+        }
+
+        let start;
+        let end;
+        if (rangeText === '*') {
+            start = field.min;
+            end = field.max;
+        } else if (rangeText.includes('-')) {
+            const bounds = rangeText.split('-');
+            if (bounds.length !== 2) {
+                throw new Error(`${field.name}字段的范围无效: ${rangeText}`);
+            }
+            const [startText, endText] = bounds;
+            start = parseValue(startText, field);
+            end = parseValue(endText, field);
+            if (start > end) {
+                throw new Error(`${field.name}字段的范围无效: ${rangeText}`);
+            }
+        } else {
+            start = parseValue(rangeText, field);
+            // 带步长的单个值表示从该值开始到最大值，例如 5/15
+            end = stepText === undefined ? start : field.max;
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+    return values;
+}
+
+/**
+ * 解析 cron 表达式，格式不正确时抛出错误（错误消息说明原因）
+ * @returns {{ minutes: Set, hours: Set, daysOfMonth: Set, months: Set, daysOfWeek: Set,
+ *   anyDayOfMonth: boolean, anyDayOfWeek: boolean }}
+ */
+function parseCron(expression) {
+    if (typeof expression !== 'string' || expression.trim() === '') {
+        throw new Error('cron 表达式不能为空');
+    }
+    const normalized = MACROS[expression.trim().toLowerCase()] || expression.trim();
+    const parts = normalized.split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+        throw new Error('cron 表达式必须包含 5 个字段：分 时 日 月 周');
+    }
+
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+    // 星期的 7 与 0 相同，都表示周日
+    if (daysOfWeek.has(7)) {
+        daysOfWeek.add(0);
+    }
+
+    return {
+        minutes,
+        hours,
+        daysOfMonth,
+        months,
+        daysOfWeek,
+        anyDayOfMonth: parts[2] === '*',
+        anyDayOfWeek: parts[4] === '*'
+    };
+}
+
+/**
+ * 判断某一天是否满足日和星期字段
+ */
+function matchesDay(schedule, date) {
+    const dayOfMonth = schedule.daysOfMonth.has(date.getUTCDate());
+    const dayOfWeek = schedule.daysOfWeek.has(date.getUTCDay());
+    if (schedule.anyDayOfMonth || schedule.anyDayOfWeek) {
+        return dayOfMonth && dayOfWeek;
+    }
+    return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * 计算 after 之后（不含）的下一次运行时间，MAX_SEARCH_YEARS 年内不会运行时返回 null
+ * @param {string|Object} cron - cron 表达式或 parseCron 的结果
+ * @param {Date} after - 起始时间
+ */
+function getNextRun(cron, after = new Date()) {
+    const schedule = typeof cron === 'string' ? parseCron(cron) : cron;
+    const date = new Date(Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS);
+    const limit = after.getUTCFullYear() + MAX_SEARCH_YEARS;
+
+    // 不满足的字段直接跳到下一个月、下一天、下一小时，避免逐分钟查找
+    while (date.getUTCFullYear() <= limit) {
+        if (!schedule.months.has(date.getUTCMonth() + 1)) {
+            date.setUTCMonth(date.getUTCMonth() + 1, 1);
+            date.setUTCHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!matchesDay(schedule, date)) {
+            date.setUTCDate(date.getUTCDate() + 1);
+            date.setUTCHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!schedule.hours.has(date.getUTCHours())) {
+            date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+            continue;
+        }
+        if (!schedule.minutes.has(date.getUTCMinutes())) {
+            date.setTime(date.getTime() + MINUTE_MS);
+            continue;
+        }
+        return date;
+    }
+    return null;
+}
+
+module.exports = {
+    parseCron,
+    getNextRun
+};
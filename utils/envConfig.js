@@ -70,12 +70,84 @@ function getTemplatesDir() {
     return templatesDir;
 }
 
+/**
+ * 获取回收站保留天数（超过该天数的已删除用户可被永久清理）
+ */
+function getUserTrashRetentionDays() {
+    const days = parseInt(process.env.USER_TRASH_RETENTION_DAYS);
+    return isNaN(days) || days < 0 ? 30 : days;
+}
+
+/**
+ * 获取导出文件保留小时数（EXPORT_RETENTION_HOURS，默认 24 小时）
+ * 创建时间超过该时长的导出任务及其文件会被清理，下载返回 410
+ */
+function getExportRetentionHours() {
+    const hours = parseFloat(process.env.EXPORT_RETENTION_HOURS);
+    return isNaN(hours) || hours <= 0 ? 24 : hours;
+}
+
+/**
+ * 获取自动清理导出文件的间隔分钟数（EXPORT_CLEANUP_INTERVAL_MINUTES，默认 60 分钟，0 表示不自动清理）
+ * 只在本地服务器（server.js）中生效，Vercel 上通过 POST /api/export/cleanup 清理
+ */
+function getExportCleanupIntervalMinutes() {
+    const minutes = parseFloat(process.env.EXPORT_CLEANUP_INTERVAL_MINUTES);
+    return isNaN(minutes) || minutes < 0 ? 60 : minutes;
+}
+
+/**
+ * 获取定时导出调度器检查到期任务的间隔秒数（EXPORT_SCHEDULER_INTERVAL_SECONDS，默认 60 秒，0 表示不启动调度器）
+ * 只在本地服务器（server.js）中生效，Vercel 上由 Vercel Cron 调用 /api/export/schedules/run-due
+ */
+function getExportSchedulerIntervalSeconds() {
+    const seconds = parseFloat(process.env.EXPORT_SCHEDULER_INTERVAL_SECONDS);
+    return isNaN(seconds) || seconds < 0 ? 60 : seconds;
+}
+
+/**
+ * 获取调用 /api/export/schedules/run-due 时需要的密钥（CRON_SECRET，与 Vercel Cron 相同），未设置时不校验
+ */
+function getCronSecret() {
+    return process.env.CRON_SECRET || null;
+}
+
+/**
+ * 获取用户名重复策略（USER_NAME_DUPLICATE_POLICY）
+ * - allow：允许重名（默认）
+ * - reject：不允许完全相同的用户名
+ * - reject_ci：不区分大小写，不允许重名
+ * - normalized：按规范化形式（NFKC、不区分大小写、合并空白）判断重名
+ */
+function getUserNameDuplicatePolicy() {
+    const policy = (process.env.USER_NAME_DUPLICATE_POLICY || '').trim().toLowerCase();
+    return ['allow', 'reject', 'reject_ci', 'normalized'].includes(policy) ? policy : 'allow';
+}
+
+/**
+ * 获取用户删除时对其信息视图的处理策略（INFO_VIEW_AUTHOR_DELETE_POLICY）
+ * - nullify：永久删除用户时保留信息视图，作者置为空（默认）
+ * - cascade：永久删除用户时一并删除其信息视图
+ * - block：用户有信息视图时不允许删除（包括移入回收站）
+ */
+function getInfoViewAuthorDeletePolicy() {
+    const policy = (process.env.INFO_VIEW_AUTHOR_DELETE_POLICY || '').trim().toLowerCase();
+    return ['nullify', 'cascade', 'block'].includes(policy) ? policy : 'nullify';
+}
+
 module.exports = {
     isVercel,
     isServerless,
     isDevelopment,
     getUploadsDir,
     getExportsDir,
-    getTemplatesDir
+    getTemplatesDir,
+    getUserTrashRetentionDays,
+    getExportRetentionHours,
+    getExportCleanupIntervalMinutes,
+    getExportSchedulerIntervalSeconds,
+    getCronSecret,
+    getUserNameDuplicatePolicy,
+    getInfoViewAuthorDeletePolicy
 };
 
@@ -0,0 +1,83 @@
+/**
+ * ETag 与条件请求
+ * 用户资源的 ETag 由 id 和 updatedAt 生成，任何修改都会更新 updatedAt，从而使旧的 ETag 失效
+ * - GET 携带 If-None-Match 且与当前 ETag 一致时返回 304
+ * - 修改类请求携带 If-Match 且与当前 ETag 不一致时返回 412，避免覆盖他人的修改
+ */
+
+/**
+ * 生成资源的 ETag（强校验）
+ * @param {Object} record - 包含 id 和 updatedAt 的记录
+ */
+function computeEtag(record) {
+    const updatedAt = record.updatedAt instanceof Date ? record.updatedAt : new Date(record.updatedAt);
+    return `"${record.id}-${updatedAt.getTime()}"`;
+}
+
+/**
+ * 解析 If-Match / If-None-Match 请求头
+ * @returns {Array<string>|null} ETag 列表，未提供时返回 null；"*" 原样保留
+ */
+function parseEtagHeader(value) {
+    if (typeof value !== 'string' || value.trim() === '') {
+        return null;
+    }
+    return value.split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+/**
+ * 判断 ETag 列表是否包含当前 ETag
+ * weak 为 true 时忽略 W/ 前缀（If-None-Match 使用弱比较）
+ */
+function etagMatches(tags, etag, { weak = false } = {}) {
+    const normalize = (tag) => (weak ? tag.replace(/^W\//, '') : tag);
+    return tags.some(tag => tag === '*' || normalize(tag) === normalize(etag));
+}
+
+/**
+ * 设置响应的 ETag 头，返回生成的 ETag
+ */
+function setEtag(res, record) {
+    const etag = computeEtag(record);
+    res.setHeader('ETag', etag);
+    return etag;
+}
+
+/**
+ * GET 请求的 If-None-Match 判断：客户端缓存仍然有效时返回 true
+ */
+function isNotModified(req, etag) {
+    const tags = parseEtagHeader(req.headers['if-none-match']);
+    return tags !== null && etagMatches(tags, etag, { weak: true });
+}
+
+/**
+ * 修改类请求的 If-Match 判断：未携带 If-Match 或与当前记录一致时返回 true
+ */
+function checkIfMatch(req, record) {
+    const tags = parseEtagHeader(req.headers['if-match']);
+    return tags === null || etagMatches(tags, computeEtag(record));
+}
+
+/**
+ * 发送 412 响应，附带当前的 ETag 供客户端刷新后重试
+ */
+function sendPreconditionFailed(res, record) {
+    if (record) {
+        setEtag(res, record);
+    }
+    return res.status(412).json({
+        error: '资源已被修改，请刷新后重试',
+        currentEtag: record ? computeEtag(record) : null
+    });
+}
+
+module.exports = {
+    computeEtag,
+    parseEtagHeader,
+    etagMatches,
+    setEtag,
+    isNotModified,
+    checkIfMatch,
+    sendPreconditionFailed
+};
@@ -0,0 +1,177 @@
+/**
+ * 导出文件的压缩和分卷
+ * 格式写入器（见 exportHandlers 中的 EXPORT_WRITERS）先写出未压缩的文件，写完后再压缩：
+ * - gzip：压缩为 .gz 文件
+ * - zip：打包为 .zip 文件；指定 maxRowsPerFile 时按行数拆分为编号的分卷文件，
+ *   每个分卷写完即压缩进压缩包并删除，压缩包中附带说明各分卷的 manifest.json
+ * 压缩均为流式读写，内存占用与文件大小无关
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const { ZipWriter } = require('./zipWriter');
+
+const COMPRESSIONS = ['gzip', 'zip'];
+
+// 压缩包的 Content-Type（下载接口使用）
+const ARCHIVE_MIME_TYPES = {
+    gzip: 'application/gzip',
+    zip: 'application/zip'
+};
+
+const MANIFEST_NAME = 'manifest.json';
+
+/**
+ * 分卷文件名：users_1700000000000_part001.csv
+ */
+function partName(baseName, index, extension) {
+    return `${baseName}_part${String(index).padStart(3, '0')}.${extension}`;
+}
+
+/**
+ * 把磁盘上的文件流式写入压缩包
+ */
+async function addFileToZip(zip, name, filePath) {
+    const entry = await zip.openEntry(name);
+    for await (const chunk of fs.createReadStream(filePath)) {
+        await entry.write(chunk);
+    }
+    await entry.end();
+}
+
+/**
+ * gzip 写入器：格式写入器写完未压缩的文件后压缩为 .gz，并删除未压缩的文件
+ */
+function createGzipWriter(filePath, sourcePath, source) {
+    return {
+        open: () => source.open(),
+        writeRows: (rows) => source.writeRows(rows),
+        async close() {
+            await source.close();
+            try {
+                await pipeline(fs.createReadStream(sourcePath), zlib.createGzip(), fs.createWriteStream(filePath));
+            } finally {
+                fs.rmSync(sourcePath, { force: true });
+            }
+        },
+        abort() {
+            source.abort();
+            fs.rmSync(sourcePath, { force: true });
+            fs.rmSync(filePath, { force: true });
+        }
+    };
+}
+
+/**
+ * zip 写入器：每个文件写完后压缩进压缩包
+ * maxRowsPerFile 为空时只有一个文件，否则每满 maxRowsPerFile 行开始一个新的分卷（每个分卷都有表头），
+ * 关闭时写入 manifest.json
+ */
+function createZipArchiveWriter(filePath, { directory, baseName, extension, createWriter, maxRowsPerFile, manifest }) {
+    const zip = new ZipWriter(filePath);
+    const files = [];
+    let current = null;
+
+    const openPart = async () => {
+        const name = maxRowsPerFile
+            ? partName(baseName, files.length + 1, extension)
+            : `${baseName}.${extension}`;
+        const partPath = path.join(directory, name);
+        current = { name, filePath: partPath, writer: createWriter(partPath), records: 0 };
+        await current.writer.open();
+    };
+
+    const closePart = async () => {
+        await current.writer.close();
+        try {
+            await addFileToZip(zip, current.name, current.filePath);
+        } finally {
+            fs.rmSync(current.filePath, { force: true });
+        }
+        files.push({ name: current.name, records: current.records });
+        current = null;
+    };
+
+    return {
+        // 先打开第一个文件，没有记录时压缩包中也有一个只含表头的文件
+        open: openPart,
+        async writeRows(rows) {
+            let offset = 0;
+            while (offset < rows.length) {
+                if (maxRowsPerFile && current.records >= maxRowsPerFile) {
+                    await closePart();
+                    await openPart();
+                }
+                const count = maxRowsPerFile
+                    ? Math.min(rows.length - offset, maxRowsPerFile - current.records)
+                    : rows.length - offset;
+                await current.writer.writeRows(rows.slice(offset, offset + count));
+                current.records += count;
+                offset += count;
+            }
+        },
+        async close() {
+            await closePart();
+            if (maxRowsPerFile) {
+                await zip.addEntry(MANIFEST_NAME, JSON.stringify({
+                    ...manifest,
+                    maxRowsPerFile,
+                    totalRecords: files.reduce((sum, file) => sum + file.records, 0),
+                    files
+                }, null, 2));
+            }
+            await zip.close();
+        },
+        abort() {
+            if (current) {
+                current.writer.abort();
+            }
+            zip.abort();
+        }
+    };
+}
+
+/**
+ * 创建导出文件的写入器，按压缩方式和分卷行数包装格式写入器
+ * @param {string} directory - 导出目录
+ * @param {string} baseName - 不含扩展名的文件名，例如 users_1700000000000
+ * @param {Object} options - extension：格式的扩展名；createWriter(filePath)：创建格式写入器；
+ *   compression：gzip / zip / null；maxRowsPerFile：每个分卷的最大行数（仅 zip）；manifest：manifest.json 中附带的信息
+ * @returns {{ fileName: string, filePath: string, writer: Object }} writer 的接口与格式写入器相同
+ */
+function createExportFileWriter(directory, baseName, {
+    extension,
+    createWriter,
+    compression = null,
+    maxRowsPerFile = null,
+    manifest = {}
+}) {
+    if (compression === 'zip' || maxRowsPerFile) {
+        const fileName = `${baseName}.zip`;
+        const filePath = path.join(directory, fileName);
+        return {
+            fileName,
+            filePath,
+            writer: createZipArchiveWriter(filePath, { directory, baseName, extension, createWriter, maxRowsPerFile, manifest })
+        };
+    }
+
+    const sourceName = `${baseName}.${extension}`;
+    const sourcePath = path.join(directory, sourceName);
+    if (compression === 'gzip') {
+        const fileName = `${sourceName}.gz`;
+        const filePath = path.join(directory, fileName);
+        return { fileName, filePath, writer: createGzipWriter(filePath, sourcePath, createWriter(sourcePath)) };
+    }
+
+    return { fileName: sourceName, filePath: sourcePath, writer: createWriter(sourcePath) };
+}
+
+module.exports = {
+    COMPRESSIONS,
+    ARCHIVE_MIME_TYPES,
+    MANIFEST_NAME,
+    createExportFileWriter
+};
@@ -0,0 +1,95 @@
+/**
+ * 可导出的实体
+ * 每个实体描述导出时使用的 Prisma 模型、列（字段、表头、宽度）、文件名前缀和筛选规则，
+ * 导出流程（exportHandlers）按实体定义查询数据并写入导出文件（格式见 exportHandlers 中的 EXPORT_WRITERS）
+ *
+ * 实体字段说明：
+ * - model：Prisma 模型名（prisma[model]）
+ * - label：实体名称，用于日志和提示
+ * - filePrefix：导出文件名前缀，例如 users_1700000000000.csv
+ * - jsonKey：JSON 文件中记录数组的键名
+ * - sheetName：Excel 工作表名称
+ * - columns：可导出的列（默认全部导出，顺序即默认顺序），key 为 JSON 中的字段名，
+ *   labels 为 CSV / TSV / Excel / HTML 各表头语言的表头（见 exportOptions），
+ *   type 为 date 时按导出选项的日期格式输出，value(row) 可从查询结果中取值（默认取 row[key]）
+ * - include：查询时附带的关联数据
+ * - searchField：筛选条件中用作任务搜索词（ExportTask.searchName）的字段
+ * - legacyFields：兼容旧版本请求体顶层传入的筛选字段
+ * - parseFilter / parseSort / defaultSort：解析请求中的筛选和排序参数
+ * - sortFields：导出允许的排序字段，只能是创建后不会修改的字段（键集分批查询时记录不会跨过分批边界）
+ * - resolveQuery(prisma, filter)：返回 { where, scores }，scores 为 ID -> 相关度（不支持时为 null）
+ */
+
+const { parseUserFilter, parseUserSort, DEFAULT_USER_SORT } = require('./userFilters');
+const { parseInfoViewFilter, buildInfoViewWhere, parseInfoViewSort, DEFAULT_INFO_VIEW_SORT } = require('./infoViewFilters');
+const { resolveUserQuery } = require('./userSearch');
+
+// 默认导出的实体（兼容未传 entity 的旧版本请求）
+const DEFAULT_EXPORT_ENTITY = 'users';
+
+const EXPORT_ENTITIES = {
+    users: {
+        model: 'user',
+        label: '用户',
+        filePrefix: 'users',
+        jsonKey: 'users',
+        sheetName: '用户列表',
+        columns: [
+            { key: 'id', labels: { zh: 'ID', en: 'ID' }, width: 10 },
+            { key: 'name', labels: { zh: '用户名', en: 'Name' }, width: 30 },
+            { key: 'createdAt', labels: { zh: '创建时间', en: 'Created At' }, type: 'date', width: 20 },
+            { key: 'updatedAt', labels: { zh: '更新时间', en: 'Updated At' }, type: 'date', width: 20 }
+        ],
+        searchField: 'name',
+        legacyFields: ['name', 'includeDeleted'],
+        parseFilter: parseUserFilter,
+        parseSort: parseUserSort,
+        defaultSort: DEFAULT_USER_SORT,
+        sortFields: ['id', 'createdAt'],
+        resolveQuery: resolveUserQuery
+    },
+    infoViews: {
+        model: 'infoView',
+        label: '信息视图',
+        filePrefix: 'infoViews',
+        jsonKey: 'infoViews',
+        sheetName: '信息视图列表',
+        columns: [
+            { key: 'id', labels: { zh: 'ID', en: 'ID' }, width: 10 },
+            { key: 'content', labels: { zh: '内容', en: 'Content' }, width: 60 },
+            { key: 'authorId', labels: { zh: '作者ID', en: 'Author ID' }, width: 10 },
+            { key: 'authorName', labels: { zh: '作者', en: 'Author' }, width: 20, value: (row) => (row.author ? row.author.name : null) },
+            { key: 'createdAt', labels: { zh: '创建时间', en: 'Created At' }, type: 'date', width: 20 },
+            { key: 'updatedAt', labels: { zh: '更新时间', en: 'Updated At' }, type: 'date', width: 20 }
+        ],
+        include: { author: { select: { name: true } } },
+        searchField: 'content',
+        legacyFields: [],
+        parseFilter: parseInfoViewFilter,
+        parseSort: parseInfoViewSort,
+        defaultSort: DEFAULT_INFO_VIEW_SORT,
+        sortFields: ['id', 'createdAt'],
+        resolveQuery: async (prisma, filter) => ({ where: buildInfoViewWhere(filter), scores: null })
+    }
+};
+
+/**
+ * 获取实体定义（附带实体名 name），不存在时返回 null
+ */
+function getExportEntity(name) {
+    return Object.prototype.hasOwnProperty.call(EXPORT_ENTITIES, name) ? { name, ...EXPORT_ENTITIES[name] } : null;
+}
+
+/**
+ * 取出一条记录在某列的值
+ */
+function getColumnValue(column, row) {
+    return column.value ? column.value(row) : row[column.key];
+}
+
+module.exports = {
+    DEFAULT_EXPORT_ENTITY,
+    EXPORT_ENTITIES,
+    getExportEntity,
+    getColumnValue
+};
@@ -1,16 +1,123 @@
-const XLSX = require('xlsx');
 const fs = require('fs');
-const path = require('path');
+const { once } = require('events');
+const { XlsxStreamWriter } = require('./xlsxStreamWriter');
 const taskManager = require('./exportTaskManager');
+const { toOrderBy, buildKeysetWhere } = require('./pagination');
+const { ERROR_CODES, sendValidationError } = require('./validation');
+const { attachScores, sortByScore } = require('./userSearch');
+const { DEFAULT_EXPORT_ENTITY, EXPORT_ENTITIES, getExportEntity, getColumnValue } = require('./exportEntities');
+const { parseExportOptions, resolveColumns, formatDate, toZonedDate } = require('./exportOptions');
+const { createExportFileWriter } = require('./exportArchive');
+const { parseRetentionHours, trackExportFiles, cleanupExports } = require('./exportRetention');
 
 /**
- * 导出用户数据
+ * 解析导出请求中的实体、筛选、排序和文件格式选项
+ * entity 为导出的实体（见 exportEntities），默认为 users；
+ * filter 对象与该实体列表接口的查询参数相同；导出用户时兼容旧版本请求体中顶层的 name 和 includeDeleted；
+ * options 为导出的列、表头语言、日期格式、压缩方式和分卷行数（见 exportOptions）
+ * @returns {{ entity: string, filter: Object, sort: Array, sortParam: string|null, options: Object, errors: Array }}
  */
-async function exportUsers(prisma, format, searchName = null, taskId = null) {
+function parseExportFilter(body = {}) {
+    const entity = body.entity === undefined || body.entity === null || body.entity === ''
+        ? DEFAULT_EXPORT_ENTITY
+        : body.entity;
+    const definition = getExportEntity(entity);
+    if (!definition) {
+        return {
+            entity,
+            filter: {},
+            sort: [],
+            sortParam: null,
+            options: {},
+            errors: [{
+                field: 'entity',
+                code: ERROR_CODES.INVALID_VALUE,
+                message: `不支持导出 ${entity}，可用实体: ${Object.keys(EXPORT_ENTITIES).join(', ')}`
+            }]
+        };
+    }
+
+    if (body.filter !== undefined && body.filter !== null &&
+        (typeof body.filter !== 'object' || Array.isArray(body.filter))) {
+        return {
+            entity,
+            filter: {},
+            sort: definition.defaultSort,
+            sortParam: null,
+            options: {},
+            errors: [{ field: 'filter', code: ERROR_CODES.INVALID_TYPE, message: 'filter 必须是对象' }]
+        };
+    }
+
+    const source = { ...(body.filter || {}) };
+    for (const field of definition.legacyFields) {
+        if (body[field] !== undefined && source[field] === undefined) {
+            source[field] = body[field];
+        }
+    }
+
+    const { filter, errors: filterErrors } = definition.parseFilter(source);
+    const { sort, errors: sortErrors } = definition.parseSort(body.sort);
+    // 导出按排序字段做键集分批查询，排序字段在导出过程中被修改的记录会跨过分批边界而重复或遗漏，
+    // 因此只允许按创建后不会修改的字段排序
+    for (const { field } of sortErrors.length === 0 ? sort : []) {
+        if (!definition.sortFields.includes(field)) {
+            sortErrors.push({
+                field: 'sort',
+                code: ERROR_CODES.INVALID_VALUE,
+                message: `导出不支持按 ${field} 排序，可用字段: ${definition.sortFields.join(', ')}`
+            });
+        }
+    }
+    const { options, errors: optionErrors } = parseExportOptions(body, definition);
+
+    return {
+        entity,
+        filter,
+        sort,
+        sortParam: typeof body.sort === 'string' && body.sort !== '' ? body.sort : null,
+        options,
+        errors: [...filterErrors, ...sortErrors, ...optionErrors]
+    };
+}
+
+/**
+ * 导出实体数据
+ * entity 为导出的实体（见 exportEntities），filter 与该实体列表接口的筛选条件相同，
+ * 默认不导出回收站中的用户；sort 为排序规则，默认按实体的默认排序（创建时间倒序）
+ * 模糊搜索用户（filter.searchMode=fuzzy）且 sortByRelevance 为 true 时按相关度排序，JSON 中附带 score
+ * columns、headerLanguage、dateFormat 为导出的列、表头语言和日期格式，timezone、locale 为本地时间的时区和语言区域
+ * （见 exportOptions），默认导出全部列
+ * compression、maxRowsPerFile 为压缩方式和分卷行数（见 exportArchive），压缩后的文件大小记录在任务的 compressedSize 中
+ * 数据分批查询，每批直接写入文件（见 EXPORT_WRITERS），内存占用与记录数无关
+ * 任务被取消（见 exportTaskManager.cancelTask）时在批次之间停止，删除未写完的文件，返回的 cancelled 为 true
+ */
+async function exportRecords(prisma, format, filter = {}, taskId = null, {
+    entity = DEFAULT_EXPORT_ENTITY,
+    sort = null,
+    sortByRelevance = false,
+    columns = null,
+    headerLanguage,
+    dateFormat = null,
+    timezone,
+    locale,
+    compression = null,
+    maxRowsPerFile = null
+} = {}) {
     console.log(`[导出任务 ${taskId}] ========== 函数开始执行 ==========`);
-    console.log(`[导出任务 ${taskId}] 参数: format=${format}, searchName=${searchName}, taskId=${taskId}`);
-    
+    console.log(`[导出任务 ${taskId}] 参数: entity=${entity}, format=${format}, filter=${JSON.stringify(filter)}, taskId=${taskId}`);
+
+    // 导出结束前（文件记录到任务中之前）登记导出文件，避免被当作无任务记录的文件清理
+    let releaseExportFiles = null;
+
     try {
+        const definition = getExportEntity(entity);
+        if (!definition) {
+            throw new Error(`不支持导出的实体: ${entity}`);
+        }
+        // 排序规则的最后一项为 id，保证键集分页的顺序唯一
+        const sortRules = sort || definition.defaultSort;
+
         // 立即更新任务状态为 processing，确认函数已被调用
         if (taskId) {
             try {
@@ -18,13 +125,16 @@ async function exportUsers(prisma, format, searchName = null, taskId = null) {
                 console.log(`[导出任务 ${taskId}] taskManager 类型:`, typeof taskManager);
                 console.log(`[导出任务 ${taskId}] taskManager.updateTask 类型:`, typeof taskManager.updateTask);
                 
-                const updatePromise = taskManager.updateTask(taskId, {
+                const updatePromise = taskManager.updateTaskUnlessCancelled(taskId, {
                     status: 'processing',
                     progress: 1
                 });
                 console.log(`[导出任务 ${taskId}] 步骤2: updateTask Promise 已创建，等待结果...`);
                 
-                await updatePromise;
+                if (!(await updatePromise)) {
+                    console.log(`[导出任务 ${taskId}] 任务在开始前已被取消`);
+                    return { cancelled: true, fileName: null, filePath: null, totalRecords: 0 };
+                }
                 console.log(`[导出任务 ${taskId}] 步骤3: 任务状态已更新为 processing`);
             } catch (updateError) {
                 console.error(`[导出任务 ${taskId}] ========== 更新任务状态失败 ==========`);
@@ -38,7 +148,7 @@ async function exportUsers(prisma, format, searchName = null, taskId = null) {
             console.log(`[导出任务 ${taskId}] 警告: taskId 为空，跳过状态更新`);
         }
         
-        console.log(`[导出任务 ${taskId}] 格式: ${format}, 搜索名称: ${searchName || '无'}`);
+        console.log(`[导出任务 ${taskId}] 实体: ${definition.label}, 格式: ${format}, 搜索条件: ${(filter && filter[definition.searchField]) || '无'}`);
         
         // 检查 prisma 对象
         if (!prisma) {
@@ -59,103 +169,160 @@ async function exportUsers(prisma, format, searchName = null, taskId = null) {
         
         console.log(`[导出任务 ${taskId}] prisma.executeWithRetry 方法可用`);
         
-        // 构建查询条件
-        const where = {};
-        if (searchName) {
-            where.name = {
-                contains: searchName,
-                mode: 'insensitive'
-            };
-        }
+        // 构建查询条件（与列表接口一致，模糊搜索用户时先查出候选用户及相关度）
+        const { where, scores } = await definition.resolveQuery(prisma, filter || {});
 
         console.log(`[导出任务 ${taskId}] 查询条件:`, JSON.stringify(where));
         
+        // 以导出开始时的最大 ID 作为快照边界，导出过程中新增的记录不会写入文件
+        const { _max } = await prisma.executeWithRetry((p) =>
+            p[definition.model].aggregate({ where, _max: { id: true } })
+        );
+        const snapshotMaxId = _max.id || 0;
+        const snapshotWhere = { AND: [where, { id: { lte: snapshotMaxId } }] };
+
         // 先获取总数
         console.log(`[导出任务 ${taskId}] 开始查询总数...`);
         const total = await prisma.executeWithRetry((p) => 
-            p.user.count({ where })
+            p[definition.model].count({ where: snapshotWhere })
         );
         
-        console.log(`[导出任务 ${taskId}] 找到 ${total} 条记录`);
+        console.log(`[导出任务 ${taskId}] 找到 ${total} 条记录，快照边界 ID <= ${snapshotMaxId}`);
 
         if (taskId) {
-            await taskManager.updateTask(taskId, {
-                status: 'processing',
+            const active = await taskManager.updateTaskUnlessCancelled(taskId, {
                 totalRecords: total,
                 processedRecords: 0,
                 progress: 2
             });
+            if (!active) {
+                console.log(`[导出任务 ${taskId}] 任务已被取消`);
+                return { cancelled: true, fileName: null, filePath: null, totalRecords: 0 };
+            }
         }
 
-        // 批量获取数据（每次1000条）
+        // 准备导出目录和文件，每批数据查出后直接写入文件，不在内存中累积
+        const { getExportsDir } = require('./envConfig');
+        const exportDir = getExportsDir();
+        const writerFactory = EXPORT_WRITERS[format.toLowerCase()];
+        if (!writerFactory) {
+            throw new Error(`不支持的导出格式: ${format}`);
+        }
+        const writerOptions = {
+            columns: resolveColumns(definition, { columns, headerLanguage }),
+            dateFormat,
+            timezone,
+            locale
+        };
+        const baseName = `${definition.filePrefix}_${Date.now()}`;
+        releaseExportFiles = trackExportFiles(baseName);
+        const { fileName, filePath, writer } = createExportFileWriter(exportDir, baseName, {
+            extension: writerFactory.extension,
+            createWriter: (partPath) => writerFactory(partPath, definition, writerOptions),
+            compression,
+            maxRowsPerFile,
+            manifest: { entity: definition.name, format: format.toLowerCase(), exportTime: new Date().toISOString() }
+        });
+
+        // 按键集分批获取数据（每次1000条）：以上一批最后一条记录的排序字段值作为起点，
+        // 不使用 skip，后面的批次不会变慢；排序字段创建后不会修改（见 exportEntities 的 sortFields），
+        // 导出过程中的增删改不会导致记录重复或遗漏
         const batchSize = 1000;
-        const batches = Math.ceil(total / batchSize);
-        let allUsers = [];
+        let processedCount = 0;
+        let lastValues = null;
 
-        // 数据获取阶段占进度的 0-95%（参考导入逻辑，根据实际处理记录数计算）
-        // 文件写入阶段占 95-100%
+        // 数据获取和写入阶段占进度的 0-95%（参考导入逻辑，根据实际处理记录数计算）
+        // 文件收尾阶段占 95-100%
         const dataFetchProgressMax = 95;
 
-        for (let i = 0; i < batches; i++) {
-            const skip = i * batchSize;
-            const users = await prisma.executeWithRetry((p) =>
-                p.user.findMany({
-                    where,
-                    skip,
-                    take: batchSize,
-                    orderBy: {
-                        createdAt: 'desc'
+        // 任务被取消时为 true：每批写入后更新进度时检查，取消后不再写入并删除未写完的文件
+        let cancelled = false;
+
+        try {
+            await writer.open();
+
+            // 模糊搜索的结果数量有上限，按相关度排序时全部取出后统一排序再写入
+            const bufferForRelevance = !!(scores && sortByRelevance);
+            let relevanceRows = [];
+
+            for (;;) {
+                const batchWhere = lastValues
+                    ? { AND: [snapshotWhere, buildKeysetWhere(sortRules, lastValues)] }
+                    : snapshotWhere;
+                let rows = await prisma.executeWithRetry((p) =>
+                    p[definition.model].findMany({
+                        where: batchWhere,
+                        take: batchSize,
+                        orderBy: toOrderBy(sortRules),
+                        ...(definition.include ? { include: definition.include } : {})
+                    })
+                );
+                if (rows.length === 0) {
+                    break;
+                }
+                lastValues = sortRules.map(({ field }) => rows[rows.length - 1][field]);
+                if (scores) {
+                    rows = attachScores(rows, scores);
+                }
+
+                if (bufferForRelevance) {
+                    relevanceRows = relevanceRows.concat(rows);
+                } else {
+                    await writer.writeRows(rows);
+                }
+                processedCount += rows.length;
+
+                // 更新进度：只更新 processedRecords，让系统根据实际记录数自动计算进度
+                // 进度限制在 0-95%（数据获取阶段）
+                if (taskId) {
+                    // 计算实际进度（0-95%）
+                    const actualProgress = total > 0 
+                        ? Math.min(dataFetchProgressMax, Math.round((processedCount / total) * dataFetchProgressMax))
+                        : 0;
+                    
+                    cancelled = !(await taskManager.updateTaskUnlessCancelled(taskId, {
+                        processedRecords: processedCount,
+                        progress: actualProgress
+                    }));
+                    if (cancelled) {
+                        break;
                     }
-                })
-            );
-
-            allUsers = allUsers.concat(users);
-
-            // 更新进度：只更新 processedRecords，让系统根据实际记录数自动计算进度
-            // 进度限制在 0-95%（数据获取阶段）
-            if (taskId) {
-                // 计算实际进度（0-95%）
-                const actualProgress = total > 0 
-                    ? Math.min(dataFetchProgressMax, Math.round((allUsers.length / total) * dataFetchProgressMax))
-                    : 0;
-                
-                await taskManager.updateTask(taskId, {
-                    processedRecords: allUsers.length,
-                    progress: actualProgress
-                });
+                }
+
+                if (rows.length < batchSize) {
+                    break;
+                }
             }
-        }
 
-        // 准备导出目录
-        const { getExportsDir } = require('./envConfig');
-        const exportDir = getExportsDir();
+            if (!cancelled && bufferForRelevance) {
+                await writer.writeRows(sortByScore(relevanceRows, scores));
+            }
 
-        // 更新进度：开始文件写入阶段（95%）
-        if (taskId) {
-            await taskManager.updateTask(taskId, {
-                progress: 95
-            });
+            // 更新进度：开始文件收尾阶段（95%）
+            if (!cancelled && taskId) {
+                cancelled = !(await taskManager.updateTaskUnlessCancelled(taskId, {
+                    progress: 95
+                }));
+            }
+
+            if (cancelled) {
+                writer.abort();
+            } else {
+                await writer.close();
+            }
+        } catch (error) {
+            // 删除未写完的文件
+            writer.abort();
+            throw error;
         }
 
-        // 根据格式导出
-        let fileName;
-        let filePath;
-
-        switch (format.toLowerCase()) {
-            case 'json':
-                ({ fileName, filePath } = await exportToJSON(allUsers, exportDir, taskId));
-                break;
-            case 'excel':
-            case 'xlsx':
-                ({ fileName, filePath } = await exportToExcel(allUsers, exportDir, taskId));
-                break;
-            case 'csv':
-                ({ fileName, filePath } = await exportToCSV(allUsers, exportDir, taskId));
-                break;
-            default:
-                throw new Error(`不支持的导出格式: ${format}`);
+        if (cancelled) {
+            console.log(`[导出任务 ${taskId}] 任务已被取消，已处理 ${processedCount} 条记录，未写完的文件已删除`);
+            return { cancelled: true, fileName: null, filePath: null, totalRecords: processedCount };
         }
 
+        const compressedSize = compression ? fs.statSync(filePath).size : null;
+
         // 更新进度：文件写入完成（98%）
         if (taskId) {
             await taskManager.updateTask(taskId, {
@@ -163,25 +330,36 @@ async function exportUsers(prisma, format, searchName = null, taskId = null) {
             });
         }
 
+        // 文件写完后才取消的任务保持取消状态，并删除已写完的文件
         if (taskId) {
-            await taskManager.updateTask(taskId, {
+            cancelled = !(await taskManager.updateTaskUnlessCancelled(taskId, {
                 status: 'completed',
                 progress: 100,
                 fileName,
                 filePath,
-                processedRecords: allUsers.length
-            });
+                compressedSize,
+                // 快照中的记录在导出过程中被删除时，实际写入的记录数会少于开始时的总数
+                totalRecords: processedCount,
+                processedRecords: processedCount
+            }));
+            if (cancelled) {
+                fs.rmSync(filePath, { force: true });
+                console.log(`[导出任务 ${taskId}] 任务已被取消，导出文件已删除`);
+                return { cancelled: true, fileName: null, filePath: null, totalRecords: processedCount };
+            }
         }
 
-        console.log(`[导出任务 ${taskId}] 导出完成，文件: ${fileName}, 记录数: ${allUsers.length}`);
-        return { fileName, filePath, totalRecords: allUsers.length };
+        console.log(`[导出任务 ${taskId}] 导出完成，文件: ${fileName}, 记录数: ${processedCount}` +
+            (compression ? `, 压缩后大小: ${compressedSize} 字节` : ''));
+        return { cancelled: false, fileName, filePath, totalRecords: processedCount, compressedSize };
     } catch (error) {
         console.error(`[导出任务 ${taskId}] 导出过程中发生错误:`, error);
         console.error(`[导出任务 ${taskId}] 错误堆栈:`, error.stack);
         
         if (taskId) {
             try {
-                await taskManager.updateTask(taskId, {
+                // 已取消的任务保持取消状态
+                await taskManager.updateTaskUnlessCancelled(taskId, {
                     status: 'failed',
                     error: error.message || String(error)
                 });
@@ -191,142 +369,348 @@ async function exportUsers(prisma, format, searchName = null, taskId = null) {
             }
         }
         throw error;
+    } finally {
+        if (releaseExportFiles) {
+            releaseExportFiles();
+        }
     }
 }
 
 /**
- * 导出为JSON格式
+ * 清理过期的导出任务和文件，以及没有任务记录的导出文件
+ * 保留小时数默认取 EXPORT_RETENTION_HOURS，可通过请求体 { "retentionHours": 1 } 覆盖
  */
-async function exportToJSON(users, exportDir, taskId) {
-    const fileName = `users_${Date.now()}.json`;
-    const filePath = path.join(exportDir, fileName);
+async function cleanupExportFiles(req, res) {
+    try {
+        const { retentionHours, errors } = parseRetentionHours(req);
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
 
-    // 更新进度：准备数据（96%）
-    if (taskId) {
-        await taskManager.updateTask(taskId, { progress: 96 });
+        const result = await cleanupExports({ retentionHours });
+        res.json({ message: '导出文件清理完成', ...result });
+    } catch (error) {
+        console.error('清理导出文件失败:', error);
+        res.status(500).json({ error: '清理导出文件失败', details: error.message });
     }
+}
 
-    const data = {
-        exportTime: new Date().toISOString(),
-        total: users.length,
-        users: users.map(user => ({
-            id: user.id,
-            name: user.name,
-            createdAt: user.createdAt,
-            updatedAt: user.updatedAt
-        }))
-    };
-
-    // 更新进度：写入文件（98%）
-    if (taskId) {
-        await taskManager.updateTask(taskId, { progress: 98 });
+/**
+ * 按日期格式输出日期列（CSV / TSV / HTML 使用，默认为本地时间字符串），空值输出为空字符串
+ * @param {Object} dateOptions - { dateFormat, timezone, locale }（见 exportOptions.formatDate）
+ */
+function formatCellValue(column, value, { dateFormat, timezone, locale }) {
+    if (value === null || value === undefined) {
+        return '';
     }
+    return column.type === 'date' ? formatDate(value, dateFormat, { timezone, locale }) : value;
+}
 
-    fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
+/**
+ * 打开文件写入流，write 在缓冲区满时等待排空，保证内存占用不随数据量增长
+ */
+function createFileOutput(filePath) {
+    const stream = fs.createWriteStream(filePath, { encoding: 'utf8' });
+    let streamError = null;
+    stream.on('error', (error) => {
+        streamError = error;
+    });
 
-    return { fileName, filePath };
+    return {
+        async write(text) {
+            if (streamError) {
+                throw streamError;
+            }
+            if (!stream.write(text)) {
+                await once(stream, 'drain');
+            }
+            if (streamError) {
+                throw streamError;
+            }
+        },
+        end() {
+            return new Promise((resolve, reject) => {
+                stream.end((error) => (error ? reject(error) : resolve()));
+            });
+        },
+        abort() {
+            stream.destroy();
+            fs.rmSync(filePath, { force: true });
+        }
+    };
 }
 
 /**
- * 导出为Excel格式
+ * 把一条记录转换为 JSON 导出的对象（按列取值，模糊搜索时附带 score）
+ * 未指定日期格式时日期按 ISO 8601 输出
  */
-async function exportToExcel(users, exportDir, taskId) {
-    const fileName = `users_${Date.now()}.xlsx`;
-    const filePath = path.join(exportDir, fileName);
-
-    // 更新进度：准备数据（96%）
-    if (taskId) {
-        await taskManager.updateTask(taskId, { progress: 96 });
+function toJSONItem(row, columns, { dateFormat, timezone, locale }) {
+    const item = {};
+    for (const column of columns) {
+        const value = getColumnValue(column, row);
+        item[column.key] = column.type === 'date' && dateFormat && value !== null && value !== undefined
+            ? formatDate(value, dateFormat, { timezone, locale })
+            : value;
     }
+    if (row.score !== undefined) {
+        item.score = row.score;
+    }
+    return item;
+}
+
+/**
+ * JSON 写入器
+ * 文件内容与整体 JSON.stringify(data, null, 2) 的结果相同，记录逐条写入，
+ * total 为实际写入的记录数，写在记录数组之后
+ */
+function createJSONWriter(filePath, definition, { columns, ...dateOptions }) {
+    const output = createFileOutput(filePath);
+    let count = 0;
+
+    return {
+        async open() {
+            const header = JSON.stringify({
+                exportTime: new Date().toISOString(),
+                entity: definition.name
+            }, null, 2);
+            // 去掉结尾的 "\n}"，接着写记录数组
+            await output.write(`${header.slice(0, -2)},\n  ${JSON.stringify(definition.jsonKey)}: [`);
+        },
+        async writeRows(rows) {
+            let text = '';
+            for (const row of rows) {
+                text += (count === 0 ? '\n    ' : ',\n    ') +
+                    JSON.stringify(toJSONItem(row, columns, dateOptions), null, 2).replace(/\n/g, '\n    ');
+                count++;
+            }
+            if (text) {
+                await output.write(text);
+            }
+        },
+        async close() {
+            await output.write((count === 0 ? ']' : '\n  ]') + `,\n  "total": ${count}\n}`);
+            await output.end();
+        },
+        abort: output.abort
+    };
+}
+createJSONWriter.extension = 'json';
 
-    // 准备数据
-    const worksheetData = [
-        ['ID', '用户名', '创建时间', '更新时间']
-    ];
-
-    users.forEach(user => {
-        worksheetData.push([
-            user.id,
-            user.name,
-            new Date(user.createdAt).toLocaleString('zh-CN'),
-            new Date(user.updatedAt).toLocaleString('zh-CN')
-        ]);
+/**
+ * Excel 写入器（逐行写入工作表，见 xlsxStreamWriter）
+ * 日期默认写为 timezone 时区本地时间的日期单元格，可以按日期排序和筛选；
+ * 指定 dateFormat 时与其它格式相同，按 iso / epoch / epoch_ms 或 locale 写为字符串或数字
+ */
+function createExcelWriter(filePath, definition, { columns, ...dateOptions }) {
+    // 超过 Excel 工作表的行数上限时写入下一个工作表，每个工作表都有表头
+    const workbook = new XlsxStreamWriter(filePath, {
+        sheetName: definition.sheetName,
+        columnWidths: columns.map(column => column.width || 20),
+        headerRow: columns.map(column => column.label)
     });
+    const dateCells = !dateOptions.dateFormat;
+    const toCellValue = (column, value) => (column.type === 'date' && dateCells && value !== null && value !== undefined
+        ? toZonedDate(value, dateOptions.timezone)
+        : formatCellValue(column, value, dateOptions));
+
+    return {
+        open: () => workbook.open(),
+        async writeRows(rows) {
+            await workbook.writeRows(rows.map(row =>
+                columns.map(column => toCellValue(column, getColumnValue(column, row)))
+            ));
+        },
+        close: () => workbook.close(),
+        abort: () => workbook.abort()
+    };
+}
+createExcelWriter.extension = 'xlsx';
 
-    // 更新进度：创建工作簿（97%）
-    if (taskId) {
-        await taskManager.updateTask(taskId, { progress: 97 });
+/**
+ * 转换为 CSV 字段：数字原样输出，其它值加双引号并转义其中的双引号，空值输出为空
+ */
+function toCSVField(value) {
+    if (typeof value === 'number') {
+        return String(value);
     }
-
-    // 创建工作簿和工作表
-    const workbook = XLSX.utils.book_new();
-    const worksheet = XLSX.utils.aoa_to_sheet(worksheetData);
-
-    // 设置列宽
-    worksheet['!cols'] = [
-        { wch: 10 }, // ID
-        { wch: 30 }, // 用户名
-        { wch: 20 }, // 创建时间
-        { wch: 20 }  // 更新时间
-    ];
-
-    XLSX.utils.book_append_sheet(workbook, worksheet, '用户列表');
-    
-    // 更新进度：写入文件（98%）
-    if (taskId) {
-        await taskManager.updateTask(taskId, { progress: 98 });
+    if (value === '') {
+        return '';
     }
-    
-    XLSX.writeFile(workbook, filePath);
+    return `"${String(value).replace(/"/g, '""')}"`;
+}
 
-    return { fileName, filePath };
+/**
+ * 转换为 CSV 表头：包含逗号、双引号或换行时才加双引号
+ */
+function toCSVHeader(label) {
+    return /[",\r\n]/.test(label) ? toCSVField(label) : label;
 }
 
 /**
- * 导出为CSV格式
+ * CSV 写入器
  */
-async function exportToCSV(users, exportDir, taskId) {
-    const fileName = `users_${Date.now()}.csv`;
-    const filePath = path.join(exportDir, fileName);
+function createCSVWriter(filePath, definition, { columns, ...dateOptions }) {
+    const output = createFileOutput(filePath);
+
+    return {
+        async open() {
+            // CSV头部（带BOM以支持Excel正确显示中文）
+            const BOM = '\uFEFF';
+            await output.write(BOM + columns.map(column => toCSVHeader(column.label)).join(',') + '\n');
+        },
+        async writeRows(rows) {
+            let text = '';
+            for (const row of rows) {
+                text += columns
+                    .map(column => toCSVField(formatCellValue(column, getColumnValue(column, row), dateOptions)))
+                    .join(',') + '\n';
+            }
+            if (text) {
+                await output.write(text);
+            }
+        },
+        close: () => output.end(),
+        abort: output.abort
+    };
+}
+createCSVWriter.extension = 'csv';
 
-    // 更新进度：准备数据（96%）
-    if (taskId) {
-        await taskManager.updateTask(taskId, { progress: 96 });
-    }
+/**
+ * NDJSON（JSON Lines）写入器：每行一条记录，对象与 JSON 导出中的记录相同，没有文件头和 total
+ */
+function createNDJSONWriter(filePath, definition, { columns, ...dateOptions }) {
+    const output = createFileOutput(filePath);
+
+    return {
+        async open() {},
+        async writeRows(rows) {
+            let text = '';
+            for (const row of rows) {
+                text += JSON.stringify(toJSONItem(row, columns, dateOptions)) + '\n';
+            }
+            if (text) {
+                await output.write(text);
+            }
+        },
+        close: () => output.end(),
+        abort: output.abort
+    };
+}
+createNDJSONWriter.extension = 'ndjson';
 
-    // CSV头部（带BOM以支持Excel正确显示中文）
-    const BOM = '\uFEFF';
-    let csvContent = BOM + 'ID,用户名,创建时间,更新时间\n';
-
-    // 分批处理数据，更新进度
-    const chunkSize = Math.max(100, Math.floor(users.length / 10)); // 至少分10批
-    for (let i = 0; i < users.length; i += chunkSize) {
-        const chunk = users.slice(i, i + chunkSize);
-        chunk.forEach(user => {
-            const name = user.name.replace(/"/g, '""'); // 转义双引号
-            const createdAt = new Date(user.createdAt).toLocaleString('zh-CN');
-            const updatedAt = new Date(user.updatedAt).toLocaleString('zh-CN');
-            csvContent += `${user.id},"${name}","${createdAt}","${updatedAt}"\n`;
-        });
+/**
+ * 转换为 TSV 字段：TSV 不支持转义，值中的制表符和换行替换为空格
+ */
+function toTSVField(value) {
+    return String(value).replace(/\r\n|[\t\r\n]/g, ' ');
+}
 
-        // 更新进度：处理数据（96-98%）
-        if (taskId && i + chunkSize < users.length) {
-            const progress = 96 + Math.round((i / users.length) * 2);
-            await taskManager.updateTask(taskId, { progress });
-        }
-    }
+/**
+ * TSV 写入器（带 BOM，与 CSV 相同）
+ */
+function createTSVWriter(filePath, definition, { columns, ...dateOptions }) {
+    const output = createFileOutput(filePath);
+
+    return {
+        async open() {
+            await output.write('\uFEFF' + columns.map(column => toTSVField(column.label)).join('\t') + '\n');
+        },
+        async writeRows(rows) {
+            let text = '';
+            for (const row of rows) {
+                text += columns
+                    .map(column => toTSVField(formatCellValue(column, getColumnValue(column, row), dateOptions)))
+                    .join('\t') + '\n';
+            }
+            if (text) {
+                await output.write(text);
+            }
+        },
+        close: () => output.end(),
+        abort: output.abort
+    };
+}
+createTSVWriter.extension = 'tsv';
 
-    // 更新进度：写入文件（98%）
-    if (taskId) {
-        await taskManager.updateTask(taskId, { progress: 98 });
-    }
+/**
+ * 转义 HTML 文本
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
 
-    fs.writeFileSync(filePath, csvContent, 'utf8');
+// HTML 表格的样式写在元素上（style 属性），邮件客户端通常会忽略 <style> 标签
+const HTML_TABLE_STYLE = 'border-collapse: collapse; font-family: sans-serif; font-size: 14px;';
+const HTML_CELL_STYLE = 'border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top;';
+const HTML_HEADER_CELL_STYLE = `${HTML_CELL_STYLE} background: #f0f0f0;`;
 
-    return { fileName, filePath };
+/**
+ * HTML 写入器：生成独立的 HTML 文件，包含标题和一个表格，可直接作为邮件正文或在浏览器中打开
+ * 单元格中的换行显示为 <br>
+ */
+function createHTMLWriter(filePath, definition, { columns, ...dateOptions }) {
+    const output = createFileOutput(filePath);
+    const title = `${definition.label}导出 ${formatDate(new Date(), null, dateOptions)}`;
+    let count = 0;
+
+    return {
+        async open() {
+            const headerCells = columns
+                .map(column => `<th style="${HTML_HEADER_CELL_STYLE}">${escapeHtml(column.label)}</th>`)
+                .join('');
+            await output.write('<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n' +
+                `<title>${escapeHtml(title)}</title>\n</head>\n<body>\n` +
+                `<h1 style="font-family: sans-serif; font-size: 18px;">${escapeHtml(title)}</h1>\n` +
+                `<table style="${HTML_TABLE_STYLE}">\n<thead>\n<tr>${headerCells}</tr>\n</thead>\n<tbody>\n`);
+        },
+        async writeRows(rows) {
+            let text = '';
+            for (const row of rows) {
+                const cells = columns.map((column) => {
+                    const value = escapeHtml(formatCellValue(column, getColumnValue(column, row), dateOptions))
+                        .replace(/\r\n|\r|\n/g, '<br>');
+                    return `<td style="${HTML_CELL_STYLE}">${value}</td>`;
+                }).join('');
+                text += `<tr>${cells}</tr>\n`;
+                count++;
+            }
+            if (text) {
+                await output.write(text);
+            }
+        },
+        async close() {
+            await output.write(`</tbody>\n</table>\n<p style="font-family: sans-serif; font-size: 12px; color: #666;">共 ${count} 条记录</p>\n</body>\n</html>\n`);
+            await output.end();
+        },
+        abort: output.abort
+    };
 }
+createHTMLWriter.extension = 'html';
+
+// 各导出格式的写入器：open() 写入文件头，writeRows(rows) 追加一批记录，close() 写入文件尾并关闭，
+// 出错时 abort() 删除未写完的文件；extension 为文件扩展名
+const EXPORT_WRITERS = {
+    json: createJSONWriter,
+    excel: createExcelWriter,
+    xlsx: createExcelWriter,
+    csv: createCSVWriter,
+    ndjson: createNDJSONWriter,
+    tsv: createTSVWriter,
+    html: createHTMLWriter
+};
+
+// 支持的导出格式
+const EXPORT_FORMATS = Object.keys(EXPORT_WRITERS);
 
 module.exports = {
-    exportUsers
+    EXPORT_FORMATS,
+    exportRecords,
+    parseExportFilter,
+    cleanupExportFiles
 };
 
@@ -0,0 +1,286 @@
+/**
+ * 导出文件的选项
+ * - columns：导出的列及顺序，可为逗号分隔的字符串 "id,name"，
+ *   或数组 ["id", { "key": "name", "label": "User Name" }]（label 为自定义表头），默认导出实体的全部列
+ * - headerLanguage：表头语言 zh / en，默认 zh；自定义表头优先
+ * - dateFormat：日期格式 iso（ISO 8601）、epoch（Unix 秒）、epoch_ms（Unix 毫秒）或 locale 字符串（例如 en-US），
+ *   默认 CSV / TSV / HTML 按本地时间字符串输出，Excel 输出为日期单元格，JSON / NDJSON 按 ISO 8601 输出
+ * - timezone：本地时间使用的时区（IANA 名称，例如 Asia/Shanghai、UTC），默认 Asia/Shanghai，
+ *   与服务器所在时区无关；iso / epoch / epoch_ms 不受时区影响
+ * - locale：本地时间字符串的语言区域，默认 zh-CN（dateFormat 为 locale 字符串时以 dateFormat 为准）
+ * - compression：压缩方式 gzip / zip，默认不压缩（见 exportArchive）
+ * - maxRowsPerFile：每个分卷文件的最大行数，指定后拆分为多个文件打包为 zip（compression 默认为 zip，不能为 gzip）
+ */
+
+const { ERROR_CODES } = require('./validation');
+const { COMPRESSIONS } = require('./exportArchive');
+
+const HEADER_LANGUAGES = ['zh', 'en'];
+const DEFAULT_HEADER_LANGUAGE = 'zh';
+
+// 日期格式：除以下取值外，其它取值视为 locale
+const DATE_FORMATS = ['iso', 'epoch', 'epoch_ms'];
+const DEFAULT_DATE_LOCALE = 'zh-CN';
+
+// 本地时间默认使用的时区（不使用服务器所在的时区，保证本地和 Vercel（UTC）导出的文件相同）
+const DEFAULT_TIMEZONE = 'Asia/Shanghai';
+
+// 按语言区域和时区缓存的日期格式化器，避免每个单元格都创建一次
+const dateTimeFormatters = new Map();
+
+// 自定义表头的最大长度
+const COLUMN_LABEL_MAX_LENGTH = 100;
+
+// 分卷行数的上限（Excel 工作表最多 1048576 行）
+const MAX_ROWS_PER_FILE = 1000000;
+
+/**
+ * 判断是否为可用的 locale（例如 zh-CN、en-US）
+ */
+function isSupportedLocale(value) {
+    try {
+        return Intl.DateTimeFormat.supportedLocalesOf(value).length > 0;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * 判断是否为可用的 IANA 时区，可用时返回规范的名称（例如 utc -> UTC），否则返回 null
+ */
+function resolveTimeZone(value) {
+    try {
+        return new Intl.DateTimeFormat('en-US', { timeZone: value }).resolvedOptions().timeZone;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * 获取日期格式化器（年月日时分秒，与 Date.prototype.toLocaleString 的默认输出相同）
+ */
+function getDateTimeFormatter(locale, timezone) {
+    const key = `${locale}|${timezone}`;
+    let formatter = dateTimeFormatters.get(key);
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat(locale, {
+            timeZone: timezone,
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        });
+        dateTimeFormatters.set(key, formatter);
+    }
+    return formatter;
+}
+
+/**
+ * 解析导出的列，返回 [{ key, label }]（label 为 null 时使用默认表头），未指定时返回 null
+ */
+function parseColumnsParam(value, definition, errors) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+
+    let items;
+    if (typeof value === 'string') {
+        items = value.split(',').map(item => item.trim()).filter(Boolean);
+    } else if (Array.isArray(value)) {
+        items = value;
+    } else {
+        errors.push({ field: 'columns', code: ERROR_CODES.INVALID_TYPE, message: 'columns 必须是字符串或数组' });
+        return null;
+    }
+
+    const availableKeys = definition.columns.map(column => column.key);
+    const columns = [];
+    items.forEach((item, index) => {
+        const field = `columns[${index}]`;
+        const { key, label = null } = typeof item === 'string' ? { key: item } : (item || {});
+
+        if (typeof key !== 'string' || !availableKeys.includes(key)) {
+            errors.push({
+                field,
+                code: ERROR_CODES.INVALID_VALUE,
+                message: `不支持导出列 ${typeof key === 'string' ? key : JSON.stringify(item)}，可用列: ${availableKeys.join(', ')}`
+            });
+            return;
+        }
+        if (columns.some(column => column.key === key)) {
+            errors.push({ field, code: ERROR_CODES.INVALID_VALUE, message: `重复的导出列: ${key}` });
+            return;
+        }
+        if (label !== null && (typeof label !== 'string' || label.trim() === '')) {
+            errors.push({ field: `${field}.label`, code: ERROR_CODES.INVALID_TYPE, message: '表头必须是非空字符串' });
+            return;
+        }
+        if (label !== null && label.length > COLUMN_LABEL_MAX_LENGTH) {
+            errors.push({ field: `${field}.label`, code: ERROR_CODES.TOO_LONG, message: `表头不能超过 ${COLUMN_LABEL_MAX_LENGTH} 个字符` });
+            return;
+        }
+        columns.push({ key, label: label === null ? null : label.trim() });
+    });
+
+    if (columns.length === 0 && errors.length === 0) {
+        errors.push({ field: 'columns', code: ERROR_CODES.REQUIRED, message: '至少需要导出一列' });
+    }
+    return columns;
+}
+
+/**
+ * 解析导出请求中的文件选项（columns、headerLanguage、dateFormat、timezone、locale、compression、maxRowsPerFile）
+ * @param {Object} body - 请求体
+ * @param {Object} definition - 导出实体定义（见 exportEntities）
+ * @returns {{ options: { columns: Array|null, headerLanguage: string, dateFormat: string|null,
+ *   timezone: string, locale: string, compression: string|null, maxRowsPerFile: number|null }, errors: Array }}
+ */
+function parseExportOptions(body = {}, definition) {
+    const errors = [];
+    const columns = parseColumnsParam(body.columns, definition, errors);
+
+    let headerLanguage = DEFAULT_HEADER_LANGUAGE;
+    if (body.headerLanguage !== undefined && body.headerLanguage !== null && body.headerLanguage !== '') {
+        if (HEADER_LANGUAGES.includes(body.headerLanguage)) {
+            headerLanguage = body.headerLanguage;
+        } else {
+            errors.push({
+                field: 'headerLanguage',
+                code: ERROR_CODES.INVALID_VALUE,
+                message: `headerLanguage 必须是 ${HEADER_LANGUAGES.join(' / ')} 之一`
+            });
+        }
+    }
+
+    let dateFormat = null;
+    if (body.dateFormat !== undefined && body.dateFormat !== null && body.dateFormat !== '') {
+        if (typeof body.dateFormat === 'string' && (DATE_FORMATS.includes(body.dateFormat) || isSupportedLocale(body.dateFormat))) {
+            dateFormat = body.dateFormat;
+        } else {
+            errors.push({
+                field: 'dateFormat',
+                code: ERROR_CODES.INVALID_VALUE,
+                message: `dateFormat 必须是 ${DATE_FORMATS.join(' / ')} 或可用的 locale（例如 en-US）`
+            });
+        }
+    }
+
+    let timezone = DEFAULT_TIMEZONE;
+    if (body.timezone !== undefined && body.timezone !== null && body.timezone !== '') {
+        const resolved = typeof body.timezone === 'string' ? resolveTimeZone(body.timezone) : null;
+        if (resolved) {
+            timezone = resolved;
+        } else {
+            errors.push({
+                field: 'timezone',
+                code: ERROR_CODES.INVALID_VALUE,
+                message: 'timezone 必须是可用的 IANA 时区（例如 Asia/Shanghai、UTC）'
+            });
+        }
+    }
+
+    let locale = DEFAULT_DATE_LOCALE;
+    if (body.locale !== undefined && body.locale !== null && body.locale !== '') {
+        if (typeof body.locale === 'string' && isSupportedLocale(body.locale)) {
+            locale = Intl.getCanonicalLocales(body.locale)[0];
+        } else {
+            errors.push({
+                field: 'locale',
+                code: ERROR_CODES.INVALID_VALUE,
+                message: 'locale 必须是可用的语言区域（例如 zh-CN、en-US）'
+            });
+        }
+    }
+
+    let compression = null;
+    if (body.compression !== undefined && body.compression !== null && body.compression !== '') {
+        if (COMPRESSIONS.includes(body.compression)) {
+            compression = body.compression;
+        } else {
+            errors.push({
+                field: 'compression',
+                code: ERROR_CODES.INVALID_VALUE,
+                message: `compression 必须是 ${COMPRESSIONS.join(' / ')} 之一`
+            });
+        }
+    }
+
+    let maxRowsPerFile = null;
+    if (body.maxRowsPerFile !== undefined && body.maxRowsPerFile !== null && body.maxRowsPerFile !== '') {
+        const value = Number(body.maxRowsPerFile);
+        if (!Number.isInteger(value) || value < 1 || value > MAX_ROWS_PER_FILE) {
+            errors.push({
+                field: 'maxRowsPerFile',
+                code: ERROR_CODES.OUT_OF_RANGE,
+                message: `maxRowsPerFile 必须是 1 到 ${MAX_ROWS_PER_FILE} 之间的整数`
+            });
+        } else if (compression === 'gzip') {
+            errors.push({ field: 'compression', code: ERROR_CODES.INVALID_VALUE, message: '分卷导出只能打包为 zip' });
+        } else {
+            maxRowsPerFile = value;
+            compression = 'zip';
+        }
+    }
+
+    return { options: { columns, headerLanguage, dateFormat, timezone, locale, compression, maxRowsPerFile }, errors };
+}
+
+/**
+ * 按导出选项确定实际导出的列：返回实体列定义的副本，label 为最终使用的表头
+ */
+function resolveColumns(definition, { columns = null, headerLanguage = DEFAULT_HEADER_LANGUAGE } = {}) {
+    const selected = columns || definition.columns.map(column => ({ key: column.key, label: null }));
+    return selected.map(({ key, label }) => {
+        const column = definition.columns.find(item => item.key === key);
+        return { ...column, label: label || column.labels[headerLanguage] || column.labels[DEFAULT_HEADER_LANGUAGE] };
+    });
+}
+
+/**
+ * 按日期格式输出日期：iso 为字符串，epoch / epoch_ms 为数字，
+ * 其它取值（包括空值）输出 timezone 时区的本地时间字符串，语言区域为 dateFormat 指定的 locale，未指定时为 locale
+ */
+function formatDate(value, dateFormat = null, { timezone = DEFAULT_TIMEZONE, locale = DEFAULT_DATE_LOCALE } = {}) {
+    const date = value instanceof Date ? value : new Date(value);
+    switch (dateFormat) {
+        case 'iso':
+            return date.toISOString();
+        case 'epoch':
+            return Math.floor(date.getTime() / 1000);
+        case 'epoch_ms':
+            return date.getTime();
+        default:
+            return getDateTimeFormatter(dateFormat || locale, timezone).format(date);
+    }
+}
+
+/**
+ * 转换为 timezone 时区的本地时间：返回的 Date 的 UTC 年月日时分秒即该时区的本地时间
+ * （用于写入 Excel 日期单元格，Excel 的日期没有时区）
+ */
+function toZonedDate(value, timezone = DEFAULT_TIMEZONE) {
+    const date = value instanceof Date ? value : new Date(value);
+    const parts = {};
+    // 使用 24 小时制取出各部分
+    for (const { type, value: part } of getDateTimeFormatter('en-US-u-hc-h23', timezone).formatToParts(date)) {
+        parts[type] = Number(part);
+    }
+    return new Date(Date.UTC(
+        parts.year, parts.month - 1, parts.day,
+        // 部分运行环境把午夜输出为 24 时
+        parts.hour % 24, parts.minute, parts.second, date.getUTCMilliseconds()
+    ));
+}
+
+module.exports = {
+    HEADER_LANGUAGES,
+    DATE_FORMATS,
+    DEFAULT_DATE_LOCALE,
+    DEFAULT_TIMEZONE,
+    parseExportOptions,
+    resolveColumns,
+    formatDate,
+    toZonedDate
+};
@@ -0,0 +1,190 @@
+/**
+ * 导出文件保留和清理
+ * 导出任务创建后保留 EXPORT_RETENTION_HOURS 小时（默认 24 小时），过期后下载返回 410，
+ * 清理时删除过期的任务记录及其文件，并删除导出目录中没有任务记录的文件（例如任务记录已被删除、进程中断后留下的临时文件）
+ * 本地服务器按 EXPORT_CLEANUP_INTERVAL_MINUTES 定时清理，也可以通过 POST /api/export/cleanup 手动清理
+ */
+
+const fs = require('fs');
+const path = require('path');
+const taskManager = require('./exportTaskManager');
+const { ERROR_CODES } = require('./validation');
+const { getExportsDir, getExportRetentionHours, getExportCleanupIntervalMinutes } = require('./envConfig');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// 当前进程中正在写入的导出文件的基础文件名（见 trackExportFiles）
+const activeExportBaseNames = new Set();
+
+/**
+ * 导出任务的过期时间
+ */
+function getExportExpiresAt(task, retentionHours = getExportRetentionHours()) {
+    return new Date(new Date(task.createdAt).getTime() + retentionHours * HOUR_MS);
+}
+
+/**
+ * 导出任务是否已过期
+ */
+function isExportExpired(task, now = new Date()) {
+    return getExportExpiresAt(task) <= now;
+}
+
+/**
+ * 根据任务 ID 中的创建时间（export_<毫秒时间戳>_<随机串>）判断任务是否已过期
+ * 用于任务记录被清理后，下载接口仍能区分已过期的任务（410）和不存在的任务（404）
+ */
+function isExpiredTaskId(taskId, now = new Date()) {
+    const match = /^export_(\d+)_/.exec(taskId);
+    return !!match && isExportExpired({ createdAt: Number(match[1]) }, now);
+}
+
+/**
+ * 解析清理请求中的保留小时数（请求体或查询参数 retentionHours），未指定时使用 EXPORT_RETENTION_HOURS
+ * 不能小于 EXPORT_RETENTION_HOURS：保留期内的任务不能被提前删除（下载接口按 EXPORT_RETENTION_HOURS 判断 410）
+ * @returns {{ retentionHours: number|null, errors: Array }}
+ */
+function parseRetentionHours(req) {
+    const raw = (req.body && req.body.retentionHours !== undefined)
+        ? req.body.retentionHours
+        : req.query.retentionHours;
+    const minHours = getExportRetentionHours();
+    if (raw === undefined || raw === null || raw === '') {
+        return { retentionHours: minHours, errors: [] };
+    }
+
+    const retentionHours = Number(raw);
+    if (!Number.isFinite(retentionHours) || retentionHours < minHours) {
+        return {
+            retentionHours: null,
+            errors: [{
+                field: 'retentionHours',
+                code: ERROR_CODES.OUT_OF_RANGE,
+                message: `retentionHours 不能小于 EXPORT_RETENTION_HOURS（${minHours} 小时）`
+            }]
+        };
+    }
+    return { retentionHours, errors: [] };
+}
+
+/**
+ * 登记正在写入的导出文件，返回取消登记的函数（导出结束后调用）
+ * 同一次导出的文件（最终文件、分卷、压缩前的源文件）都以 baseName 开头，后接 "." 或 "_part"，
+ * 清理无任务记录的文件时跳过这些文件
+ * 只记录当前进程中的导出：Vercel 上导出目录在各实例的 /tmp 中，其它实例看不到这些文件
+ */
+function trackExportFiles(baseName) {
+    activeExportBaseNames.add(baseName);
+    return () => {
+        activeExportBaseNames.delete(baseName);
+    };
+}
+
+/**
+ * 文件是否属于正在写入的导出
+ */
+function isActiveExportFile(name) {
+    for (const baseName of activeExportBaseNames) {
+        if (name.startsWith(`${baseName}.`) || name.startsWith(`${baseName}_part`)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * 删除文件，返回是否删除了文件（文件不存在时返回 false）
+ */
+function removeFile(filePath) {
+    try {
+        fs.unlinkSync(filePath);
+        return true;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`删除导出文件失败 (${filePath}):`, error);
+        }
+        return false;
+    }
+}
+
+/**
+ * 删除导出目录中没有任务记录、且在 cutoff 之前最后修改的文件
+ * 正在写入的文件还没有记录到任务中，按 trackExportFiles 登记的文件名跳过
+ * （写入分卷时压缩包、压缩时源文件的修改时间不会更新，不能只看修改时间）
+ */
+async function sweepOrphanFiles(cutoff) {
+    const exportDir = getExportsDir();
+    const knownFiles = new Set((await taskManager.getTaskFilePaths()).map(filePath => path.resolve(filePath)));
+
+    let count = 0;
+    for (const name of fs.readdirSync(exportDir)) {
+        const filePath = path.resolve(exportDir, name);
+        if (knownFiles.has(filePath) || isActiveExportFile(name)) {
+            continue;
+        }
+        let stat;
+        try {
+            stat = fs.statSync(filePath);
+        } catch (error) {
+            continue;
+        }
+        if (stat.isFile() && stat.mtime < cutoff && removeFile(filePath)) {
+            count++;
+        }
+    }
+    return count;
+}
+
+/**
+ * 清理过期的导出任务和文件
+ * @param {Object} options - { retentionHours: 保留小时数，默认取 EXPORT_RETENTION_HOURS }
+ * @returns {Promise<{ deletedTaskCount, deletedFileCount, orphanFileCount, retentionHours, cutoff }>}
+ */
+async function cleanupExports({ retentionHours = getExportRetentionHours() } = {}) {
+    const cutoff = new Date(Date.now() - retentionHours * HOUR_MS);
+
+    // 先删除任务记录再删除文件：中途失败时留下的文件由下一次清理作为无记录文件删除
+    const expiredTasks = await taskManager.cleanupExpiredTasks(cutoff);
+    const deletedFileCount = expiredTasks.filter(task => task.filePath && removeFile(task.filePath)).length;
+    const orphanFileCount = await sweepOrphanFiles(cutoff);
+
+    console.log(`导出文件清理完成，删除 ${expiredTasks.length} 个过期任务、${deletedFileCount} 个导出文件、` +
+        `${orphanFileCount} 个无任务记录的文件（创建时间早于 ${cutoff.toISOString()}）`);
+
+    return {
+        deletedTaskCount: expiredTasks.length,
+        deletedFileCount,
+        orphanFileCount,
+        retentionHours,
+        cutoff
+    };
+}
+
+/**
+ * 启动定时清理（本地服务器使用），间隔为 0 时不启动，返回定时器（未启动时为 null）
+ */
+function startExportCleanupTimer() {
+    const minutes = getExportCleanupIntervalMinutes();
+    if (minutes === 0) {
+        return null;
+    }
+
+    const run = () => cleanupExports().catch((error) => {
+        console.error('定时清理导出文件失败:', error);
+    });
+    run();
+    const timer = setInterval(run, minutes * 60 * 1000);
+    // 不阻止进程退出
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    getExportExpiresAt,
+    isExportExpired,
+    isExpiredTaskId,
+    parseRetentionHours,
+    trackExportFiles,
+    cleanupExports,
+    startExportCleanupTimer
+};
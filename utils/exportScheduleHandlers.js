@@ -0,0 +1,437 @@
+const { handleDatabaseError } = require('./dbErrorHandler');
+const { parsePaginationParams } = require('./pagination');
+const { ERROR_CODES, schemas, validate, sendValidationError } = require('./validation');
+const { EXPORT_FORMATS, parseExportFilter } = require('./exportHandlers');
+const { toExportBody, runExportSchedule, runDueSchedules } = require('./exportScheduler');
+const { getExportExpiresAt } = require('./exportRetention');
+const { parseCron, getNextRun } = require('./cron');
+const { getCronSecret } = require('./envConfig');
+
+// 定时导出中可修改的字段
+const SCHEDULE_FIELDS = [
+    'name', 'cron', 'enabled', 'entity', 'format', 'filter', 'sort',
+    'columns', 'headerLanguage', 'dateFormat', 'timezone', 'locale', 'compression', 'maxRowsPerFile'
+];
+
+// 运行历史中返回的任务字段
+const TASK_HISTORY_SELECT = {
+    taskId: true,
+    status: true,
+    progress: true,
+    format: true,
+    entity: true,
+    fileName: true,
+    error: true,
+    totalRecords: true,
+    processedRecords: true,
+    compression: true,
+    compressedSize: true,
+    createdAt: true,
+    updatedAt: true
+};
+
+/**
+ * 解析定时导出ID，无效时返回 null
+ */
+function parseScheduleId(id) {
+    const idNum = Number(id);
+    return Number.isInteger(idNum) && idNum > 0 ? idNum : null;
+}
+
+/**
+ * 校验定时导出的字段，返回写入数据库的数据
+ * 导出参数（entity、format、filter、sort、columns 等）与导出接口相同，按 parseExportFilter 校验
+ * @param {Object} input - 完整的定时导出字段（更新时为原有字段和请求体合并后的结果）
+ * @returns {{ data: Object, errors: Array }}
+ */
+function parseScheduleInput(input) {
+    const { value, errors } = validate(schemas.exportSchedule, input);
+
+    if (value.cron) {
+        try {
+            if (!getNextRun(parseCron(value.cron))) {
+                errors.push({ field: 'cron', code: ERROR_CODES.INVALID_VALUE, message: 'cron 表达式在 5 年内不会运行' });
+            }
+        } catch (error) {
+            errors.push({ field: 'cron', code: ERROR_CODES.INVALID_VALUE, message: error.message });
+        }
+    }
+
+    const enabled = input.enabled === undefined || input.enabled === null ? true : input.enabled;
+    if (typeof enabled !== 'boolean') {
+        errors.push({ field: 'enabled', code: ERROR_CODES.INVALID_TYPE, message: 'enabled 必须是布尔值' });
+    }
+
+    const format = input.format === undefined || input.format === null ? 'json' : input.format;
+    if (typeof format !== 'string' || !EXPORT_FORMATS.includes(format.toLowerCase())) {
+        errors.push({
+            field: 'format',
+            code: ERROR_CODES.INVALID_VALUE,
+            message: `不支持的导出格式，可用格式: ${EXPORT_FORMATS.join(', ')}`
+        });
+    }
+
+    // 只传入导出参数，避免 name 等字段被当作旧版本请求体顶层的筛选字段
+    const { entity, sortParam, options, errors: exportErrors } = parseExportFilter(toExportBody(input));
+    errors.push(...exportErrors);
+
+    if (errors.length > 0) {
+        return { data: null, errors };
+    }
+
+    return {
+        data: {
+            name: value.name,
+            cron: value.cron,
+            enabled,
+            entity,
+            format: format.toLowerCase(),
+            // 保存请求中的筛选条件，每次运行时重新解析
+            filter: input.filter || null,
+            sort: sortParam,
+            ...options
+        },
+        errors
+    };
+}
+
+/**
+ * 取出请求体中出现的定时导出字段
+ */
+function pickScheduleFields(body) {
+    const fields = {};
+    for (const field of SCHEDULE_FIELDS) {
+        if (body[field] !== undefined) {
+            fields[field] = body[field];
+        }
+    }
+    return fields;
+}
+
+/**
+ * 计算下次运行时间，停用时为 null
+ */
+function computeNextRunAt({ enabled, cron }, now = new Date()) {
+    return enabled ? getNextRun(cron, now) : null;
+}
+
+/**
+ * 获取定时导出列表（page/limit 偏移分页，按创建时间倒序）
+ */
+async function getExportSchedules(req, res, prisma) {
+    try {
+        const paging = parsePaginationParams(req.query);
+        const page = paging.page || 1;
+        const skip = (page - 1) * paging.limit;
+
+        const [schedules, total] = await Promise.all([
+            prisma.executeWithRetry((p) =>
+                p.exportSchedule.findMany({
+                    skip,
+                    take: paging.limit,
+                    orderBy: [{ createdAt: 'desc' }, { id: 'desc' }]
+                })
+            ),
+            prisma.executeWithRetry((p) => p.exportSchedule.count())
+        ]);
+
+        const totalPages = Math.ceil(total / paging.limit);
+
+        res.json({
+            data: schedules,
+            pagination: {
+                mode: 'offset',
+                page,
+                limit: paging.limit,
+                total,
+                totalPages,
+                hasNext: page < totalPages,
+                hasPrev: page > 1
+            }
+        });
+    } catch (error) {
+        const dbError = handleDatabaseError(error, res);
+        if (dbError) return;
+        res.status(500).json({ error: '获取定时导出列表失败', details: error.message });
+    }
+}
+
+/**
+ * 获取单个定时导出
+ */
+async function getExportScheduleById(req, res, prisma, scheduleId) {
+    try {
+        const id = parseScheduleId(scheduleId);
+        if (!id) {
+            return res.status(400).json({ error: '无效的定时导出ID' });
+        }
+
+        const schedule = await prisma.executeWithRetry((p) => p.exportSchedule.findUnique({ where: { id } }));
+        if (!schedule) {
+            return res.status(404).json({ error: '定时导出未找到' });
+        }
+
+        res.json(schedule);
+    } catch (error) {
+        const dbError = handleDatabaseError(error, res);
+        if (dbError) return;
+        res.status(500).json({ error: '获取定时导出失败', details: error.message });
+    }
+}
+
+/**
+ * 创建定时导出
+ * name、cron 必填，enabled 默认为 true，format 默认为 json，其它导出参数与 POST /api/export 相同
+ */
+async function createExportSchedule(req, res, prisma) {
+    try {
+        const body = req.body && typeof req.body === 'object' && !Array.isArray(req.body) ? req.body : null;
+        if (!body) {
+            return sendValidationError(res, [
+                { field: 'body', code: ERROR_CODES.INVALID_TYPE, message: '请求体必须是 JSON 对象' }
+            ]);
+        }
+
+        const { data, errors } = parseScheduleInput(pickScheduleFields(body));
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+
+        const schedule = await prisma.executeWithRetry((p) =>
+            p.exportSchedule.create({
+                data: { ...data, nextRunAt: computeNextRunAt(data) }
+            })
+        );
+
+        console.log(`定时导出 ID ${schedule.id} 已创建，cron: ${schedule.cron}`);
+
+        res.status(201).json(schedule);
+    } catch (error) {
+        const dbError = handleDatabaseError(error, res);
+        if (dbError) return;
+        console.error('创建定时导出失败:', error);
+        res.status(500).json({ error: '创建定时导出失败', details: error.message });
+    }
+}
+
+/**
+ * 更新定时导出（部分更新，只修改请求体中出现的字段，传 null 清除可选的导出参数）
+ * cron 或 enabled 变化时重新计算下次运行时间
+ */
+async function updateExportSchedule(req, res, prisma, scheduleId) {
+    try {
+        const id = parseScheduleId(scheduleId);
+        if (!id) {
+            return res.status(400).json({ error: '无效的定时导出ID' });
+        }
+
+        const body = req.body && typeof req.body === 'object' && !Array.isArray(req.body) ? req.body : null;
+        if (!body) {
+            return sendValidationError(res, [
+                { field: 'body', code: ERROR_CODES.INVALID_TYPE, message: '请求体必须是 JSON 对象' }
+            ]);
+        }
+
+        const changes = pickScheduleFields(body);
+        if (Object.keys(changes).length === 0) {
+            return sendValidationError(res, [
+                { field: 'body', code: ERROR_CODES.NO_FIELDS, message: '没有可更新的字段' }
+            ]);
+        }
+
+        const existing = await prisma.executeWithRetry((p) => p.exportSchedule.findUnique({ where: { id } }));
+        if (!existing) {
+            return res.status(404).json({ error: '定时导出未找到' });
+        }
+
+        const { data, errors } = parseScheduleInput({ ...pickScheduleFields(existing), ...changes });
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+
+        if (data.cron !== existing.cron || data.enabled !== existing.enabled) {
+            data.nextRunAt = computeNextRunAt(data);
+        }
+
+        const schedule = await prisma.executeWithRetry((p) => p.exportSchedule.update({ where: { id }, data }));
+
+        console.log(`定时导出 ID ${id} 已更新`);
+
+        res.json(schedule);
+    } catch (error) {
+        const dbError = handleDatabaseError(error, res);
+        if (dbError) return;
+        console.error('更新定时导出失败:', error);
+        res.status(500).json({ error: '更新定时导出失败', details: error.message });
+    }
+}
+
+/**
+ * 删除定时导出，已创建的导出任务保留（scheduleId 置为空）
+ */
+async function deleteExportSchedule(req, res, prisma, scheduleId) {
+    try {
+        const id = parseScheduleId(scheduleId);
+        if (!id) {
+            return res.status(400).json({ error: '无效的定时导出ID' });
+        }
+
+        const schedule = await prisma.executeWithRetry((p) =>
+            p.$transaction(async (tx) => {
+                const existing = await tx.exportSchedule.findUnique({ where: { id } });
+                if (!existing) {
+                    return null;
+                }
+                await tx.exportSchedule.delete({ where: { id } });
+                return existing;
+            })
+        );
+
+        if (!schedule) {
+            return res.status(404).json({ error: '定时导出未找到' });
+        }
+
+        console.log(`定时导出 ID ${id} 已删除`);
+
+        res.json({
+            message: '定时导出已删除',
+            deletedSchedule: schedule
+        });
+    } catch (error) {
+        const dbError = handleDatabaseError(error, res);
+        if (dbError) return;
+        console.error('删除定时导出失败:', error);
+        res.status(500).json({ error: '删除定时导出失败', details: error.message });
+    }
+}
+
+/**
+ * 获取定时导出创建的导出任务（运行历史，page/limit 偏移分页，按创建时间倒序）
+ * 任务和文件按导出文件保留时间清理（见 exportRetention），清理后不再出现在历史中
+ */
+async function getExportScheduleTasks(req, res, prisma, scheduleId) {
+    try {
+        const id = parseScheduleId(scheduleId);
+        if (!id) {
+            return res.status(400).json({ error: '无效的定时导出ID' });
+        }
+
+        const schedule = await prisma.executeWithRetry((p) =>
+            p.exportSchedule.findUnique({ where: { id }, select: { id: true } })
+        );
+        if (!schedule) {
+            return res.status(404).json({ error: '定时导出未找到' });
+        }
+
+        const paging = parsePaginationParams(req.query);
+        const page = paging.page || 1;
+        const where = { scheduleId: id };
+
+        const [tasks, total] = await Promise.all([
+            prisma.executeWithRetry((p) =>
+                p.exportTask.findMany({
+                    where,
+                    skip: (page - 1) * paging.limit,
+                    take: paging.limit,
+                    orderBy: [{ createdAt: 'desc' }, { taskId: 'desc' }],
+                    select: TASK_HISTORY_SELECT
+                })
+            ),
+            prisma.executeWithRetry((p) => p.exportTask.count({ where }))
+        ]);
+
+        const totalPages = Math.ceil(total / paging.limit);
+
+        res.json({
+            data: tasks.map(task => ({
+                ...task,
+                // BIGINT 列读出为 BigInt，转换为数字以便序列化为 JSON
+                compressedSize: task.compressedSize === null ? null : Number(task.compressedSize),
+                expiresAt: getExportExpiresAt(task)
+            })),
+            pagination: {
+                mode: 'offset',
+                page,
+                limit: paging.limit,
+                total,
+                totalPages,
+                hasNext: page < totalPages,
+                hasPrev: page > 1
+            }
+        });
+    } catch (error) {
+        const dbError = handleDatabaseError(error, res);
+        if (dbError) return;
+        res.status(500).json({ error: '获取定时导出的运行历史失败', details: error.message });
+    }
+}
+
+/**
+ * 立即运行一次定时导出（停用的定时导出也可以手动运行），不影响下次运行时间
+ * 与 POST /api/export 相同，返回任务ID后在后台导出，通过 /api/export/:taskId/status 查询进度
+ */
+async function runExportScheduleNow(req, res, prisma, scheduleId) {
+    try {
+        const id = parseScheduleId(scheduleId);
+        if (!id) {
+            return res.status(400).json({ error: '无效的定时导出ID' });
+        }
+
+        const schedule = await prisma.executeWithRetry((p) => p.exportSchedule.findUnique({ where: { id } }));
+        if (!schedule) {
+            return res.status(404).json({ error: '定时导出未找到' });
+        }
+
+        const { taskId } = await runExportSchedule(prisma, schedule);
+        await prisma.executeWithRetry((p) =>
+            p.exportSchedule.update({ where: { id }, data: { lastRunAt: new Date() } })
+        );
+
+        res.json({
+            taskId,
+            scheduleId: id,
+            message: '导出任务已创建',
+            status: 'pending'
+        });
+    } catch (error) {
+        const dbError = handleDatabaseError(error, res);
+        if (dbError) return;
+        console.error('运行定时导出失败:', error);
+        res.status(500).json({ error: '运行定时导出失败', details: error.message });
+    }
+}
+
+/**
+ * 运行所有到期的定时导出（供 Vercel Cron 调用），等待导出结束后返回每个定时导出的运行结果
+ * 设置了 CRON_SECRET 时要求请求头 Authorization: Bearer <CRON_SECRET>（Vercel Cron 会自动带上）
+ */
+async function runDueExportSchedules(req, res, prisma) {
+    try {
+        const secret = getCronSecret();
+        if (secret && req.headers.authorization !== `Bearer ${secret}`) {
+            return res.status(401).json({ error: '未授权' });
+        }
+
+        const runs = await runDueSchedules(prisma);
+        res.json({
+            message: runs.length > 0 ? `已运行 ${runs.length} 个定时导出` : '没有到期的定时导出',
+            runs
+        });
+    } catch (error) {
+        const dbError = handleDatabaseError(error, res);
+        if (dbError) return;
+        console.error('运行到期的定时导出失败:', error);
+        res.status(500).json({ error: '运行到期的定时导出失败', details: error.message });
+    }
+}
+
+module.exports = {
+    getExportSchedules,
+    getExportScheduleById,
+    createExportSchedule,
+    updateExportSchedule,
+    deleteExportSchedule,
+    getExportScheduleTasks,
+    runExportScheduleNow,
+    runDueExportSchedules
+};
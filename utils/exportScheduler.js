@@ -0,0 +1,148 @@
+/**
+ * 定时导出的调度
+ * 每个定时导出（ExportSchedule）保存 cron 表达式和导出参数，到达下次运行时间（nextRunAt）时创建一个普通的导出任务，
+ * 任务的 scheduleId 指向定时导出，用于查看运行历史
+ * - 本地服务器（server.js）每隔 EXPORT_SCHEDULER_INTERVAL_SECONDS 秒检查一次到期的定时导出
+ * - Vercel 上由 Vercel Cron 调用 /api/export/schedules/run-due
+ * 服务器停止期间错过的运行不会补跑，恢复后只运行一次，然后按 cron 表达式计算下次运行时间
+ */
+
+const taskManager = require('./exportTaskManager');
+const { exportRecords, parseExportFilter } = require('./exportHandlers');
+const { EXPORT_ENTITIES } = require('./exportEntities');
+const { getNextRun } = require('./cron');
+const { getExportSchedulerIntervalSeconds } = require('./envConfig');
+
+/**
+ * 把定时导出保存的参数转换为导出接口的请求体（用 parseExportFilter 解析）
+ */
+function toExportBody(schedule) {
+    return {
+        entity: schedule.entity,
+        format: schedule.format,
+        filter: schedule.filter,
+        sort: schedule.sort,
+        columns: schedule.columns,
+        headerLanguage: schedule.headerLanguage,
+        dateFormat: schedule.dateFormat,
+        timezone: schedule.timezone,
+        locale: schedule.locale,
+        compression: schedule.compression,
+        maxRowsPerFile: schedule.maxRowsPerFile
+    };
+}
+
+/**
+ * 按定时导出的参数创建并开始一个导出任务
+ * @returns {Promise<{ taskId: string, promise: Promise<Object> }>} promise 在导出结束后完成，
+ *   结果为 exportRecords 的返回值，导出失败时为 { error }
+ */
+async function runExportSchedule(prisma, schedule) {
+    const { entity, filter, sort, sortParam, options, errors } = parseExportFilter(toExportBody(schedule));
+    if (errors.length > 0) {
+        throw new Error(`定时导出 ${schedule.id} 的导出参数无效: ${errors.map(error => error.message).join('; ')}`);
+    }
+    const searchName = filter[EXPORT_ENTITIES[entity].searchField] || null;
+
+    const taskId = await taskManager.createTask(schedule.format, searchName, {
+        entity,
+        filter,
+        sort: sortParam,
+        scheduleId: schedule.id,
+        ...options
+    });
+    console.log(`定时导出 ${schedule.id}（${schedule.name}）已创建导出任务: ${taskId}`);
+
+    // 导出失败时 exportRecords 已把任务状态更新为 failed
+    const promise = exportRecords(prisma, schedule.format, filter, taskId, { entity, sort, sortByRelevance: !sortParam, ...options })
+        .catch((error) => {
+            console.error(`[${taskId}] 定时导出任务失败:`, error);
+            return { error };
+        });
+
+    return { taskId, promise };
+}
+
+/**
+ * 运行所有到期的定时导出，依次等待每个导出结束
+ * 运行前以原下次运行时间为条件更新 lastRunAt 和 nextRunAt，多个实例同时检查时每次到期只运行一次
+ * @returns {Promise<Array<{ scheduleId, taskId, status, error? }>>}
+ */
+async function runDueSchedules(prisma, now = new Date()) {
+    const dueSchedules = await prisma.executeWithRetry((p) =>
+        p.exportSchedule.findMany({
+            where: { enabled: true, nextRunAt: { lte: now } },
+            orderBy: { nextRunAt: 'asc' }
+        })
+    );
+
+    const runs = [];
+    for (const schedule of dueSchedules) {
+        const { count } = await prisma.executeWithRetry((p) =>
+            p.exportSchedule.updateMany({
+                where: { id: schedule.id, enabled: true, nextRunAt: schedule.nextRunAt },
+                data: { lastRunAt: now, nextRunAt: getNextRun(schedule.cron, now) }
+            })
+        );
+        if (count === 0) {
+            continue;
+        }
+
+        try {
+            const { taskId, promise } = await runExportSchedule(prisma, schedule);
+            const result = await promise;
+            let status = 'completed';
+            if (result.error) {
+                status = 'failed';
+            } else if (result.cancelled) {
+                status = 'cancelled';
+            }
+            runs.push({ scheduleId: schedule.id, taskId, status });
+        } catch (error) {
+            console.error(`运行定时导出 ${schedule.id} 失败:`, error);
+            runs.push({ scheduleId: schedule.id, taskId: null, status: 'failed', error: error.message });
+        }
+    }
+    return runs;
+}
+
+/**
+ * 启动定时导出调度器（本地服务器使用），间隔为 0 时不启动，返回定时器（未启动时为 null）
+ * 上一次检查的导出还没有结束时跳过本次检查
+ */
+function startExportScheduler(prisma) {
+    const seconds = getExportSchedulerIntervalSeconds();
+    if (seconds === 0) {
+        return null;
+    }
+
+    let running = false;
+    const run = async () => {
+        if (running) {
+            return;
+        }
+        running = true;
+        try {
+            const runs = await runDueSchedules(prisma);
+            if (runs.length > 0) {
+                console.log(`定时导出调度器运行了 ${runs.length} 个定时导出`);
+            }
+        } catch (error) {
+            console.error('定时导出调度器检查失败:', error);
+        } finally {
+            running = false;
+        }
+    };
+    run();
+    const timer = setInterval(run, seconds * 1000);
+    // 不阻止进程退出
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    toExportBody,
+    runExportSchedule,
+    runDueSchedules,
+    startExportScheduler
+};
@@ -39,8 +39,24 @@ class ExportTaskManager {
 
     /**
      * 创建新任务
+     * entity 为导出的实体，filter 和 sort 为导出使用的筛选条件和排序规则，
+     * columns、headerLanguage、dateFormat 为导出的列、表头语言和日期格式，timezone、locale 为本地时间的时区和语言区域，
+     * compression、maxRowsPerFile 为压缩方式和分卷行数，随任务保存以便追溯
+     * scheduleId 为创建任务的定时导出（手动导出时为 null）
      */
-    async createTask(format, searchName = null) {
+    async createTask(format, searchName = null, {
+        entity = 'users',
+        filter = null,
+        sort = null,
+        columns = null,
+        headerLanguage = 'zh',
+        dateFormat = null,
+        timezone = null,
+        locale = null,
+        compression = null,
+        maxRowsPerFile = null,
+        scheduleId = null
+    } = {}) {
         // 确保 Prisma Client 已准备好
         this._ensurePrismaReady();
         
@@ -55,10 +71,21 @@ class ExportTaskManager {
             p.exportTask.create({
                 data: {
                     taskId,
-                    status: 'pending', // pending, processing, completed, failed
+                    status: 'pending', // pending, processing, completed, failed, cancelled
                     progress: 0,
                     format,
+                    entity,
                     searchName,
+                    filter,
+                    sort,
+                    columns,
+                    headerLanguage,
+                    dateFormat,
+                    timezone,
+                    locale,
+                    compression,
+                    maxRowsPerFile,
+                    scheduleId,
                     fileName: null,
                     filePath: null,
                     error: null,
@@ -98,7 +125,20 @@ class ExportTaskManager {
             status: task.status,
             progress: task.progress,
             format: task.format,
+            entity: task.entity,
             searchName: task.searchName,
+            filter: task.filter,
+            sort: task.sort,
+            columns: task.columns,
+            headerLanguage: task.headerLanguage,
+            dateFormat: task.dateFormat,
+            timezone: task.timezone,
+            locale: task.locale,
+            compression: task.compression,
+            maxRowsPerFile: task.maxRowsPerFile,
+            // BIGINT 列读出为 BigInt，转换为数字以便序列化为 JSON
+            compressedSize: task.compressedSize === null ? null : Number(task.compressedSize),
+            scheduleId: task.scheduleId,
             fileName: task.fileName,
             filePath: task.filePath,
             error: task.error,
@@ -169,7 +209,10 @@ class ExportTaskManager {
                 status: task.status,
                 progress: task.progress,
                 format: task.format,
+                entity: task.entity,
                 searchName: task.searchName,
+                filter: task.filter,
+                sort: task.sort,
                 fileName: task.fileName,
                 filePath: task.filePath,
                 error: task.error,
@@ -189,9 +232,60 @@ class ExportTaskManager {
     }
 
     /**
-     * 清理过期任务（24小时）
+     * 在任务未被取消时更新任务，返回是否已更新
+     * 导出过程中用它更新状态和进度，同时检查任务是否已被取消（已取消的任务不再更新，返回 false）
      */
-    async cleanupExpiredTasks() {
+    async updateTaskUnlessCancelled(taskId, updates) {
+        this._ensurePrismaReady();
+
+        const { count } = await prisma.executeWithRetry((p) =>
+            p.exportTask.updateMany({
+                where: { taskId, status: { not: 'cancelled' } },
+                data: updates
+            })
+        );
+        return count > 0;
+    }
+
+    /**
+     * 只在任务仍为等待中时更新任务，返回是否已更新
+     * 用于在导出流程之外补写状态，避免覆盖已开始、已完成或已取消的任务
+     */
+    async updateTaskIfPending(taskId, updates) {
+        this._ensurePrismaReady();
+
+        const { count } = await prisma.executeWithRetry((p) =>
+            p.exportTask.updateMany({
+                where: { taskId, status: 'pending' },
+                data: updates
+            })
+        );
+        return count > 0;
+    }
+
+    /**
+     * 取消任务：只有等待中和处理中的任务可以取消
+     * 导出流程在批次之间检查到取消后停止并删除未写完的文件
+     * @returns {{ task: Object|null, cancelled: boolean }} task 为 null 表示任务不存在，cancelled 表示本次是否取消成功
+     */
+    async cancelTask(taskId) {
+        this._ensurePrismaReady();
+
+        const { count } = await prisma.executeWithRetry((p) =>
+            p.exportTask.updateMany({
+                where: { taskId, status: { in: ['pending', 'processing'] } },
+                data: { status: 'cancelled' }
+            })
+        );
+        const task = await this.getTask(taskId);
+        return { task, cancelled: count > 0 };
+    }
+
+    /**
+     * 删除创建时间早于 cutoff 的任务，返回被删除任务的 { taskId, filePath }（文件由调用方删除，见 exportRetention）
+     * 等待中和处理中的任务在 cutoff 之后仍有更新时不删除，长时间没有更新的视为已中断的任务一并删除
+     */
+    async cleanupExpiredTasks(cutoff) {
         this._ensurePrismaReady();
         
         // 检查是否有 executeWithRetry 方法
@@ -199,17 +293,40 @@ class ExportTaskManager {
             throw new Error('prisma.executeWithRetry 方法不可用');
         }
         
-        const expireTime = new Date(Date.now() - 24 * 60 * 60 * 1000); // 24小时前
-        
-        await prisma.executeWithRetry((p) => 
-            p.exportTask.deleteMany({
-                where: {
-                    createdAt: {
-                        lt: expireTime
-                    }
-                }
+        return prisma.executeWithRetry((p) =>
+            p.$transaction(async (tx) => {
+                const where = {
+                    createdAt: { lt: cutoff },
+                    OR: [
+                        { status: { notIn: ['pending', 'processing'] } },
+                        { updatedAt: { lt: cutoff } }
+                    ]
+                };
+                const expired = await tx.exportTask.findMany({
+                    where,
+                    select: { taskId: true, filePath: true }
+                });
+                await tx.exportTask.deleteMany({
+                    where: { taskId: { in: expired.map(task => task.taskId) } }
+                });
+                return expired;
+            })
+        );
+    }
+
+    /**
+     * 获取所有任务记录的导出文件路径（清理无任务记录的文件时使用）
+     */
+    async getTaskFilePaths() {
+        this._ensurePrismaReady();
+
+        const tasks = await prisma.executeWithRetry((p) =>
+            p.exportTask.findMany({
+                where: { filePath: { not: null } },
+                select: { filePath: true }
             })
         );
+        return tasks.map(task => task.filePath);
     }
 
     /**
@@ -0,0 +1,165 @@
+/**
+ * 文件下载（导出文件下载接口使用，Express 路由和 api/export/[taskId]/download.js 共用）
+ * - 响应头带 Content-Length、ETag、Last-Modified 和 Accept-Ranges: bytes
+ * - 支持单个字节范围的 Range 请求（206），可用于断点续传；范围超出文件时返回 416，
+ *   多个范围、格式不正确或 If-Range 与当前文件不一致时返回完整文件
+ * - If-None-Match / If-Modified-Since 与当前文件一致时返回 304
+ * - HEAD 请求只返回响应头
+ * 只使用 Node.js 原生的响应方法，Express 和 Vercel 函数中都可以使用
+ */
+
+const fs = require('fs');
+
+/**
+ * 根据文件大小和修改时间生成 ETag（导出文件写完后不再修改）
+ */
+function createETag(stat) {
+    return `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+}
+
+/**
+ * 判断 If-None-Match 是否包含当前 ETag（忽略弱校验前缀 W/）
+ */
+function matchesETag(header, etag) {
+    return header.split(',').some(item => {
+        const value = item.trim();
+        return value === '*' || value.replace(/^W\//, '') === etag;
+    });
+}
+
+/**
+ * 判断文件在 HTTP 日期之后是否没有修改（HTTP 日期精确到秒）
+ */
+function notModifiedSince(header, stat) {
+    const since = Date.parse(header);
+    return !isNaN(since) && Math.floor(stat.mtimeMs / 1000) * 1000 <= since;
+}
+
+/**
+ * 判断是否可以返回 304
+ * 同时有 If-None-Match 和 If-Modified-Since 时只按 If-None-Match 判断
+ */
+function isNotModified(req, stat, etag) {
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch) {
+        return matchesETag(ifNoneMatch, etag);
+    }
+    const ifModifiedSince = req.headers['if-modified-since'];
+    return !!ifModifiedSince && notModifiedSince(ifModifiedSince, stat);
+}
+
+/**
+ * 判断 If-Range 是否与当前文件一致（值为 ETag 或 HTTP 日期），一致时才按 Range 返回部分内容
+ */
+function isRangeFresh(req, stat, etag) {
+    const ifRange = req.headers['if-range'];
+    if (!ifRange) {
+        return true;
+    }
+    if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+        // 弱 ETag 不能用于范围请求
+        return ifRange === etag;
+    }
+    return Date.parse(ifRange) === Math.floor(stat.mtimeMs / 1000) * 1000;
+}
+
+/**
+ * 解析 Range 请求头，只支持单个字节范围：bytes=0-99、bytes=100-、bytes=-100（最后 100 个字节）
+ * @returns {{ start: number, end: number }|null|false} null 表示忽略 Range 返回完整文件
+ *   （多个范围、其它单位或格式不正确，按规范可以忽略），false 表示范围超出文件（416）
+ */
+function parseRange(header, size) {
+    const match = /^bytes=\s*(\d*)\s*-\s*(\d*)\s*$/.exec(header);
+    if (!match || (match[1] === '' && match[2] === '')) {
+        return null;
+    }
+
+    const [, startText, endText] = match;
+
+    let start;
+    let end;
+    if (startText === '') {
+        // 后缀范围：最后 N 个字节
+        const suffixLength = Number(endText);
+        if (suffixLength === 0) {
+            return false;
+        }
+        start = Math.max(0, size - suffixLength);
+        end = size - 1;
+    } else {
+        start = Number(startText);
+        end = endText === '' ? size - 1 : Math.min(Number(endText), size - 1);
+    }
+
+    if (start >= size || start > end) {
+        return false;
+    }
+    return { start, end };
+}
+
+/**
+ * 发送文件
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ * @param {string} filePath - 文件路径
+ * @param {Object} options - { contentType: Content-Type, fileName: 下载的文件名（Content-Disposition） }
+ */
+function sendFile(req, res, filePath, { contentType = 'application/octet-stream', fileName = null } = {}) {
+    const stat = fs.statSync(filePath);
+    const etag = createETag(stat);
+
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('ETag', etag);
+    res.setHeader('Last-Modified', stat.mtime.toUTCString());
+
+    if (isNotModified(req, stat, etag)) {
+        res.statusCode = 304;
+        res.end();
+        return;
+    }
+
+    res.setHeader('Content-Type', contentType);
+    if (fileName) {
+        res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(fileName)}"`);
+    }
+
+    let start = 0;
+    let end = stat.size - 1;
+    res.statusCode = 200;
+
+    const rangeHeader = req.headers.range;
+    if (rangeHeader && isRangeFresh(req, stat, etag)) {
+        const range = parseRange(rangeHeader, stat.size);
+        if (range === false) {
+            res.statusCode = 416;
+            res.setHeader('Content-Range', `bytes */${stat.size}`);
+            res.setHeader('Content-Length', 0);
+            res.end();
+            return;
+        }
+        if (range) {
+            ({ start, end } = range);
+            res.statusCode = 206;
+            res.setHeader('Content-Range', `bytes ${start}-${end}/${stat.size}`);
+        }
+    }
+
+    res.setHeader('Content-Length', stat.size === 0 ? 0 : end - start + 1);
+
+    if (req.method === 'HEAD' || stat.size === 0) {
+        res.end();
+        return;
+    }
+
+    const fileStream = fs.createReadStream(filePath, { start, end });
+    fileStream.on('error', (error) => {
+        console.error('读取文件失败:', error);
+        // 已经开始发送文件内容时无法再返回错误，直接断开连接，客户端可以用 Range 续传
+        res.destroy(error);
+    });
+    fileStream.pipe(res);
+}
+
+module.exports = {
+    sendFile
+};
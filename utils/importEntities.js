@@ -0,0 +1,173 @@
+/**
+ * 可导入的实体
+ * 每个实体描述导入文件中的列（字段、表头、别名、是否必填）、数据校验规则和写入方式，
+ * 导入流程（importHandlers）按实体定义从 JSON / CSV / Excel 文件中读取数据并逐行写入
+ *
+ * 实体字段说明：
+ * - label：实体名称，用于日志和提示
+ * - jsonKey：JSON 文件中记录数组的键名（与导出文件相同，导出的 JSON 可直接导入）
+ * - sheetName：模板中 Excel 工作表名称
+ * - templateName：模板文件名（不含扩展名）
+ * - columns：导入的列，key 为字段名，label 为模板表头，aliases 为可识别的列名（英文列名不区分大小写），
+ *   required 为 true 时文件中必须有该列且每行都有值
+ * - schema：数据校验规则（见 validation.schemas），与创建接口相同
+ * - sampleRows：模板中的示例数据
+ * - supportsDuplicate：是否支持 onDuplicate 重名处理
+ * - importRow(prisma, value, context)：写入一行校验后的数据，返回 created / updated / skipped，
+ *   context 为 { actor, source, onDuplicate }
+ */
+
+const { schemas } = require('./validation');
+const { AUDIT_ACTIONS, recordAuditEvent } = require('./auditLog');
+const { computeNameKey, isNameConflictError } = require('./userNamePolicy');
+const { computeNamePinyin } = require('./userSearch');
+const { REVISION_ACTIONS, recordRevision } = require('./infoViewRevisions');
+
+// 默认导入的实体（兼容未传 entity 的旧版本请求）
+const DEFAULT_IMPORT_ENTITY = 'users';
+
+/**
+ * 导入一个用户：创建用户（或按重名处理方式更新已有用户）并写入审计记录
+ */
+async function importUserRow(prisma, value, { actor, source, onDuplicate }) {
+    const nameKey = computeNameKey(value.name);
+    return prisma.executeWithRetry((p) =>
+        p.$transaction(async (tx) => {
+            const existing = nameKey === null ? null : await tx.user.findFirst({
+                where: { nameKey, deletedAt: null }
+            });
+
+            if (existing) {
+                if (onDuplicate === 'skip') {
+                    return 'skipped';
+                }
+                if (onDuplicate !== 'update') {
+                    throw new Error(`用户名已存在（用户ID ${existing.id}）`);
+                }
+                const updated = await tx.user.update({
+                    where: { id: existing.id },
+                    data: { name: value.name, nameKey, ...computeNamePinyin(value.name) }
+                });
+                await recordAuditEvent(tx, {
+                    actor,
+                    action: AUDIT_ACTIONS.UPDATE,
+                    entity: 'user',
+                    entityId: existing.id,
+                    before: existing,
+                    after: updated,
+                    source
+                });
+                return 'updated';
+            }
+
+            const user = await tx.user.create({
+                data: {
+                    name: value.name,
+                    nameKey,
+                    ...computeNamePinyin(value.name)
+                }
+            });
+            await recordAuditEvent(tx, {
+                actor,
+                action: AUDIT_ACTIONS.CREATE,
+                entity: 'user',
+                entityId: user.id,
+                after: user,
+                source
+            });
+            return 'created';
+        })
+    ).catch((error) => {
+        // 并发写入同名用户时由唯一索引拦截
+        if (isNameConflictError(error)) {
+            throw new Error('用户名已存在');
+        }
+        throw error;
+    });
+}
+
+/**
+ * 导入一个信息视图：校验作者后创建信息视图，并保存第 1 个版本
+ */
+async function importInfoViewRow(prisma, value, { actor }) {
+    return prisma.executeWithRetry((p) =>
+        p.$transaction(async (tx) => {
+            if (value.authorId !== undefined && value.authorId !== null) {
+                const author = await tx.user.findFirst({
+                    where: { id: value.authorId, deletedAt: null },
+                    select: { id: true }
+                });
+                if (!author) {
+                    throw new Error(`作者不存在（作者ID ${value.authorId}）`);
+                }
+            }
+            const infoView = await tx.infoView.create({ data: value });
+            await recordRevision(tx, {
+                infoViewId: infoView.id,
+                content: infoView.content,
+                action: REVISION_ACTIONS.CREATE,
+                actor
+            });
+            return 'created';
+        })
+    );
+}
+
+const IMPORT_ENTITIES = {
+    users: {
+        label: '用户',
+        jsonKey: 'users',
+        sheetName: '用户列表',
+        templateName: 'import_template',
+        columns: [
+            { key: 'name', label: '用户名', aliases: ['name', '用户名'], required: true, width: 30 }
+        ],
+        schema: schemas.user,
+        sampleRows: [
+            { name: '张三' },
+            { name: '李四' },
+            { name: '王五' }
+        ],
+        supportsDuplicate: true,
+        importRow: importUserRow
+    },
+    infoViews: {
+        label: '信息视图',
+        jsonKey: 'infoViews',
+        sheetName: '信息视图列表',
+        templateName: 'import_template_infoViews',
+        columns: [
+            { key: 'content', label: '内容', aliases: ['content', '内容'], required: true, width: 60 },
+            { key: 'authorId', label: '作者ID', aliases: ['authorId', 'author_id', '作者ID'], width: 10 }
+        ],
+        schema: schemas.infoView,
+        sampleRows: [
+            { content: '第一条信息', authorId: null },
+            { content: '第二条信息\n内容可以包含多行', authorId: null }
+        ],
+        supportsDuplicate: false,
+        importRow: importInfoViewRow
+    }
+};
+
+/**
+ * 获取实体定义（附带实体名 name），不存在时返回 null
+ */
+function getImportEntity(name) {
+    return Object.prototype.hasOwnProperty.call(IMPORT_ENTITIES, name) ? { name, ...IMPORT_ENTITIES[name] } : null;
+}
+
+/**
+ * 判断列名是否与列匹配（英文列名不区分大小写）
+ */
+function matchesColumn(column, header) {
+    const normalized = String(header).trim().toLowerCase();
+    return column.aliases.some(alias => alias.toLowerCase() === normalized);
+}
+
+module.exports = {
+    DEFAULT_IMPORT_ENTITY,
+    IMPORT_ENTITIES,
+    getImportEntity,
+    matchesColumn
+};
@@ -2,20 +2,27 @@ const XLSX = require('xlsx');
 const fs = require('fs');
 const path = require('path');
 const taskManager = require('./importTaskManager');
+const { validate } = require('./validation');
+const { importSource } = require('./auditLog');
+const { DEFAULT_IMPORT_ENTITY, getImportEntity, matchesColumn } = require('./importEntities');
+
+// 导入时用户名重复的处理方式：跳过、记为失败、更新已有用户
+const IMPORT_DUPLICATE_ACTIONS = ['skip', 'fail', 'update'];
 
 /**
- * 快速统计文件中的数据条数（不解析完整数据）
+ * 快速统计文件中的数据条数（不写入数据）
  */
-async function countRecords(filePath, format) {
+async function countRecords(filePath, format, entity = DEFAULT_IMPORT_ENTITY) {
     try {
+        const definition = getImportEntity(entity);
         switch (format.toLowerCase()) {
             case 'json':
                 const jsonContent = fs.readFileSync(filePath, 'utf8');
                 const jsonData = JSON.parse(jsonContent);
                 if (Array.isArray(jsonData)) {
                     return jsonData.length;
-                } else if (jsonData.users && Array.isArray(jsonData.users)) {
-                    return jsonData.users.length;
+                } else if (jsonData[definition.jsonKey] && Array.isArray(jsonData[definition.jsonKey])) {
+                    return jsonData[definition.jsonKey].length;
                 }
                 return 0;
             case 'excel':
@@ -27,8 +34,7 @@ async function countRecords(filePath, format) {
                 return data.length;
             case 'csv':
                 const csvContent = fs.readFileSync(filePath, 'utf8');
-                const lines = csvContent.split('\n').filter(line => line.trim() !== '');
-                return Math.max(0, lines.length - 1); // 减去表头
+                return Math.max(0, parseCSVRecords(csvContent).length - 1); // 减去表头
             default:
                 return 0;
         }
@@ -38,33 +44,45 @@ async function countRecords(filePath, format) {
 }
 
 /**
- * 导入用户数据
+ * 导入实体数据
+ * entity 为导入的实体（见 importEntities），每行数据按该实体的校验规则（与创建接口相同）校验后写入
+ * 导入用户时每个用户都会写入审计记录，来源为 import:<taskId>；
+ * 用户名与已有用户重复（按 USER_NAME_DUPLICATE_POLICY 判断）时按 onDuplicate 处理：
+ * - skip：跳过该行
+ * - fail：该行记为失败（默认）
+ * - update：用该行数据更新已有用户
+ * @param {Object} options - { entity: 导入的实体, actor: 发起导入的操作人, onDuplicate: 重名处理方式 }
  */
-async function importUsers(prisma, filePath, format, taskId = null) {
+async function importRecords(prisma, filePath, format, taskId = null, { entity = DEFAULT_IMPORT_ENTITY, actor = null, onDuplicate = 'fail' } = {}) {
     try {
+        const definition = getImportEntity(entity);
+        if (!definition) {
+            throw new Error(`不支持导入 ${entity}`);
+        }
+        const source = taskId ? importSource(taskId) : 'import';
         // 解析文件
-        let users = [];
+        let records = [];
         
         switch (format.toLowerCase()) {
             case 'json':
-                users = await parseJSONFile(filePath, taskId);
+                records = await parseJSONFile(filePath, definition);
                 break;
             case 'excel':
             case 'xlsx':
-                users = await parseExcelFile(filePath, taskId);
+                records = await parseExcelFile(filePath, definition);
                 break;
             case 'csv':
-                users = await parseCSVFile(filePath, taskId);
+                records = await parseCSVFile(filePath, definition);
                 break;
             default:
                 throw new Error(`不支持的导入格式: ${format}`);
         }
 
-        if (!users || users.length === 0) {
+        if (!records || records.length === 0) {
             throw new Error('文件中没有有效的数据');
         }
 
-        const totalRecords = users.length;
+        const totalRecords = records.length;
 
         if (taskId) {
             taskManager.updateTask(taskId, {
@@ -79,31 +97,33 @@ async function importUsers(prisma, filePath, format, taskId = null) {
         const batchSize = 100;
         let successCount = 0;
         let failCount = 0;
+        let skippedCount = 0;
+        let updatedCount = 0;
         let processedCount = 0;
 
-        for (let i = 0; i < users.length; i += batchSize) {
-            const batch = users.slice(i, i + batchSize);
+        for (let i = 0; i < records.length; i += batchSize) {
+            const batch = records.slice(i, i + batchSize);
             
             for (let j = 0; j < batch.length; j++) {
-                const userData = batch[j];
+                const record = batch[j];
                 processedCount++;
                 
                 try {
-                    // 验证数据
-                    if (!userData.name || typeof userData.name !== 'string' || userData.name.trim() === '') {
-                        throw new Error('用户名不能为空');
+                    // 验证数据（规则与创建接口相同）
+                    const { value, errors } = validate(definition.schema, record);
+                    if (errors.length > 0) {
+                        throw new Error(errors.map(e => e.message).join('；'));
                     }
 
-                    // 创建用户
-                    await prisma.executeWithRetry((p) =>
-                        p.user.create({
-                            data: {
-                                name: userData.name.trim()
-                            }
-                        })
-                    );
+                    const result = await definition.importRow(prisma, value, { actor, source, onDuplicate });
 
-                    successCount++;
+                    if (result === 'skipped') {
+                        skippedCount++;
+                    } else if (result === 'updated') {
+                        updatedCount++;
+                    } else {
+                        successCount++;
+                    }
                 } catch (error) {
                     failCount++;
                     const errorMsg = `第 ${processedCount} 行: ${error.message}`;
@@ -118,7 +138,9 @@ async function importUsers(prisma, filePath, format, taskId = null) {
                     taskManager.updateTask(taskId, {
                         processedRecords: processedCount,
                         successRecords: successCount,
-                        failedRecords: failCount
+                        failedRecords: failCount,
+                        skippedRecords: skippedCount,
+                        updatedRecords: updatedCount
                     });
                 }
             }
@@ -130,14 +152,18 @@ async function importUsers(prisma, filePath, format, taskId = null) {
                 progress: 100,
                 processedRecords: totalRecords,
                 successRecords: successCount,
-                failedRecords: failCount
+                failedRecords: failCount,
+                skippedRecords: skippedCount,
+                updatedRecords: updatedCount
             });
         }
 
         return {
             totalRecords,
             successRecords: successCount,
-            failedRecords: failCount
+            failedRecords: failCount,
+            skippedRecords: skippedCount,
+            updatedRecords: updatedCount
         };
     } catch (error) {
         if (taskId) {
@@ -150,42 +176,53 @@ async function importUsers(prisma, filePath, format, taskId = null) {
     }
 }
 
+/**
+ * 按实体的列定义把一行数据（列名 -> 值）转换为记录
+ * 值统一转为去掉首尾空白的字符串（数字由校验规则转换），空值视为未提供
+ */
+function toRecord(definition, row, rowNumber) {
+    const record = {};
+    for (const column of definition.columns) {
+        const header = Object.keys(row).find(key => matchesColumn(column, key));
+        const raw = header === undefined ? null : row[header];
+        const value = raw === undefined || raw === null ? '' : String(raw).trim();
+        if (value === '') {
+            if (column.required) {
+                throw new Error(`第 ${rowNumber} 行缺少${column.label}字段`);
+            }
+            continue;
+        }
+        record[column.key] = value;
+    }
+    return record;
+}
+
 /**
  * 解析JSON文件
  */
-async function parseJSONFile(filePath, taskId) {
+async function parseJSONFile(filePath, definition) {
     try {
         const fileContent = fs.readFileSync(filePath, 'utf8');
         const data = JSON.parse(fileContent);
 
         // 支持两种格式：
-        // 1. { users: [...] } - 导出格式
+        // 1. { users: [...] } - 导出格式（键名为实体的 jsonKey）
         // 2. [...] - 数组格式
-        let users = [];
+        let rows = [];
         if (Array.isArray(data)) {
-            users = data;
-        } else if (data.users && Array.isArray(data.users)) {
-            users = data.users;
+            rows = data;
+        } else if (data[definition.jsonKey] && Array.isArray(data[definition.jsonKey])) {
+            rows = data[definition.jsonKey];
         } else {
-            throw new Error('JSON格式不正确，需要数组或包含users字段的对象');
+            throw new Error(`JSON格式不正确，需要数组或包含${definition.jsonKey}字段的对象`);
         }
 
-        // 转换数据格式，过滤掉null和无效数据
-        return users
-            .map((item, index) => {
-                // 如果已经是对象格式，直接使用
-                if (typeof item === 'object' && item !== null) {
-                    const name = item.name || item.用户名 || item['用户名'];
-                    if (!name) {
-                        throw new Error(`第 ${index + 1} 行缺少用户名字段`);
-                    }
-                    return {
-                        name: String(name).trim()
-                    };
-                }
-                throw new Error(`第 ${index + 1} 行数据格式不正确`);
-            })
-            .filter(item => item !== null && item.name); // 过滤掉无效项
+        return rows.map((item, index) => {
+            if (typeof item === 'object' && item !== null && !Array.isArray(item)) {
+                return toRecord(definition, item, index + 1);
+            }
+            throw new Error(`第 ${index + 1} 行数据格式不正确`);
+        });
     } catch (error) {
         throw new Error(`解析JSON文件失败: ${error.message}`);
     }
@@ -194,7 +231,7 @@ async function parseJSONFile(filePath, taskId) {
 /**
  * 解析Excel文件
  */
-async function parseExcelFile(filePath, taskId) {
+async function parseExcelFile(filePath, definition) {
     try {
         const workbook = XLSX.readFile(filePath);
         const sheetName = workbook.SheetNames[0];
@@ -207,18 +244,8 @@ async function parseExcelFile(filePath, taskId) {
             throw new Error('Excel文件中没有数据');
         }
 
-        // 转换数据格式，支持中英文列名
-        return data.map((row, index) => {
-            const name = row.name || row.用户名 || row['用户名'] || row.Name || row['Name'];
-            
-            if (!name) {
-                throw new Error(`第 ${index + 2} 行缺少用户名字段`);
-            }
-
-            return {
-                name: String(name).trim()
-            };
-        });
+        // 转换数据格式，支持中英文列名（第 1 行为表头）
+        return data.map((row, index) => toRecord(definition, row, index + 2));
     } catch (error) {
         throw new Error(`解析Excel文件失败: ${error.message}`);
     }
@@ -227,146 +254,152 @@ async function parseExcelFile(filePath, taskId) {
 /**
  * 解析CSV文件
  */
-async function parseCSVFile(filePath, taskId) {
+async function parseCSVFile(filePath, definition) {
     try {
         const fileContent = fs.readFileSync(filePath, 'utf8');
-        const lines = fileContent.split('\n').filter(line => line.trim() !== '');
+        const rows = parseCSVRecords(fileContent);
         
-        if (lines.length < 2) {
+        if (rows.length < 2) {
             throw new Error('CSV文件至少需要包含表头和数据行');
         }
 
-        // 解析表头
-        const headerLine = lines[0];
-        // 移除BOM（如果存在）
-        const cleanHeader = headerLine.replace(/^\uFEFF/, '');
-        const headers = parseCSVLine(cleanHeader);
-        
-        // 查找用户名列的索引
-        const nameIndex = headers.findIndex(h => 
-            h.toLowerCase() === 'name' || 
-            h === '用户名' || 
-            h === 'Name' ||
-            h === 'NAME'
-        );
-
-        if (nameIndex === -1) {
-            throw new Error('CSV文件中找不到用户名列（name或用户名）');
-        }
-
-        // 解析数据行
-        const users = [];
-        for (let i = 1; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (!line) continue;
-
-            try {
-                const values = parseCSVLine(line);
-                const name = values[nameIndex];
-                
-                if (!name || name.trim() === '') {
-                    throw new Error(`第 ${i + 1} 行用户名为空`);
-                }
-
-                users.push({
-                    name: name.trim()
-                });
-            } catch (error) {
-                throw new Error(`第 ${i + 1} 行数据解析失败: ${error.message}`);
+        // 解析表头，必填列必须存在
+        const headers = rows[0];
+        for (const column of definition.columns) {
+            if (column.required && !headers.some(header => matchesColumn(column, header))) {
+                throw new Error(`CSV文件中找不到${column.label}列（${column.aliases.join('或')}）`);
             }
         }
 
-        return users;
+        // 解析数据行
+        return rows.slice(1).map((values, index) => {
+            const row = {};
+            headers.forEach((header, column) => {
+                row[header] = values[column];
+            });
+            return toRecord(definition, row, index + 2);
+        });
     } catch (error) {
         throw new Error(`解析CSV文件失败: ${error.message}`);
     }
 }
 
 /**
- * 解析CSV行（处理引号和逗号）
+ * 把CSV内容解析为记录（处理引号、逗号和引号内的换行），忽略空行和开头的BOM
+ * @returns {Array<Array<string>>} 每条记录的字段值
  */
-function parseCSVLine(line) {
-    const values = [];
+function parseCSVRecords(content) {
+    const records = [];
+    let fields = [];
     let current = '';
     let inQuotes = false;
 
-    for (let i = 0; i < line.length; i++) {
-        const char = line[i];
-        const nextChar = line[i + 1];
+    const endRecord = () => {
+        fields.push(current);
+        if (fields.length > 1 || fields[0].trim() !== '') {
+            records.push(fields);
+        }
+        fields = [];
+        current = '';
+    };
+
+    const text = content.replace(/^\uFEFF/, '');
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        const nextChar = text[i + 1];
 
-        if (char === '"') {
-            if (inQuotes && nextChar === '"') {
+        if (inQuotes) {
+            if (char === '"' && nextChar === '"') {
                 // 转义的双引号
                 current += '"';
                 i++; // 跳过下一个引号
+            } else if (char === '"') {
+                inQuotes = false;
             } else {
-                // 切换引号状态
-                inQuotes = !inQuotes;
+                current += char;
             }
-        } else if (char === ',' && !inQuotes) {
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
             // 字段分隔符
-            values.push(current);
+            fields.push(current);
             current = '';
+        } else if (char === '\n' || char === '\r') {
+            // 记录分隔符（兼容 \r\n）
+            if (char === '\r' && nextChar === '\n') {
+                i++;
+            }
+            endRecord();
         } else {
             current += char;
         }
     }
 
-    // 添加最后一个字段
-    values.push(current);
+    // 添加最后一条记录
+    endRecord();
 
-    // 移除字段两端的引号
-    return values.map(v => v.replace(/^"|"$/g, ''));
+    return records;
 }
 
 /**
- * 生成导入模板文件
+ * 把模板中的值转换为CSV字段（空值输出为空字段）
  */
-function generateTemplate(format) {
+function toCSVTemplateField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    return `"${String(value).replace(/"/g, '""')}"`;
+}
+
+/**
+ * 生成导入模板文件（表头和示例数据按实体的列定义生成）
+ */
+function generateTemplate(format, entity = DEFAULT_IMPORT_ENTITY) {
     const { getTemplatesDir } = require('./envConfig');
     const templateDir = getTemplatesDir();
+    const definition = getImportEntity(entity);
+    if (!definition) {
+        throw new Error(`不支持导入 ${entity}`);
+    }
 
-    const sampleData = [
-        { name: '张三' },
-        { name: '李四' },
-        { name: '王五' }
-    ];
+    const { columns, sampleRows } = definition;
+    const toRow = (item) => columns.map(column => item[column.key]);
 
     let fileName;
     let filePath;
 
     switch (format.toLowerCase()) {
         case 'json':
-            fileName = 'import_template.json';
+            fileName = `${definition.templateName}.json`;
             filePath = path.join(templateDir, fileName);
             const jsonData = {
-                users: sampleData
+                [definition.jsonKey]: sampleRows
             };
             fs.writeFileSync(filePath, JSON.stringify(jsonData, null, 2), 'utf8');
             break;
 
         case 'excel':
         case 'xlsx':
-            fileName = 'import_template.xlsx';
+            fileName = `${definition.templateName}.xlsx`;
             filePath = path.join(templateDir, fileName);
             const workbook = XLSX.utils.book_new();
             const worksheetData = [
-                ['用户名'], // 表头
-                ...sampleData.map(item => [item.name])
+                columns.map(column => column.label), // 表头
+                ...sampleRows.map(item => toRow(item).map(value => (value === null ? '' : value)))
             ];
             const worksheet = XLSX.utils.aoa_to_sheet(worksheetData);
-            worksheet['!cols'] = [{ wch: 30 }];
-            XLSX.utils.book_append_sheet(workbook, worksheet, '用户列表');
+            worksheet['!cols'] = columns.map(column => ({ wch: column.width }));
+            XLSX.utils.book_append_sheet(workbook, worksheet, definition.sheetName);
             XLSX.writeFile(workbook, filePath);
             break;
 
         case 'csv':
-            fileName = 'import_template.csv';
+            fileName = `${definition.templateName}.csv`;
             filePath = path.join(templateDir, fileName);
             const BOM = '\uFEFF';
-            let csvContent = BOM + '用户名\n';
-            sampleData.forEach(item => {
-                csvContent += `"${item.name}"\n`;
+            let csvContent = BOM + columns.map(column => column.label).join(',') + '\n';
+            sampleRows.forEach(item => {
+                csvContent += toRow(item).map(toCSVTemplateField).join(',') + '\n';
             });
             fs.writeFileSync(filePath, csvContent, 'utf8');
             break;
@@ -379,7 +412,8 @@ function generateTemplate(format) {
 }
 
 module.exports = {
-    importUsers,
+    IMPORT_DUPLICATE_ACTIONS,
+    importRecords,
     generateTemplate,
     countRecords
 };
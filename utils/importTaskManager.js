@@ -107,19 +107,24 @@ class ImportTaskManager {
 
     /**
      * 创建新任务
+     * @param {Object} options - { entity: 导入的实体（见 importEntities）, onDuplicate: 用户名重复时的处理方式 skip / fail / update }
      */
-    createTask(format, fileName) {
+    createTask(format, fileName, { entity = 'users', onDuplicate = 'fail' } = {}) {
         const taskId = `import_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
         const task = {
             taskId,
             status: 'pending', // pending, processing, completed, failed
             progress: 0,
             format,
+            entity,
             fileName,
+            onDuplicate,
             totalRecords: 0,
             processedRecords: 0,
             successRecords: 0,
             failedRecords: 0,
+            skippedRecords: 0, // 因重名跳过的记录
+            updatedRecords: 0, // 因重名更新已有用户的记录
             errors: [],
             createdAt: new Date()
         };
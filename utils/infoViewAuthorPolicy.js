@@ -0,0 +1,79 @@
+/**
+ * 删除用户时对其信息视图（作者为该用户）的处理策略
+ * 策略通过 INFO_VIEW_AUTHOR_DELETE_POLICY 配置（见 envConfig）：
+ * - nullify：移入回收站时不处理，永久删除时信息视图保留，作者由外键置为 NULL
+ * - cascade：移入回收站时不处理（恢复后仍可看到），永久删除时一并删除其信息视图
+ * - block：有信息视图的用户不能移入回收站，也不会被清理回收站永久删除
+ */
+
+const { getInfoViewAuthorDeletePolicy } = require('./envConfig');
+
+// 删除策略
+const INFO_VIEW_AUTHOR_DELETE_POLICIES = {
+    NULLIFY: 'nullify',
+    CASCADE: 'cascade',
+    BLOCK: 'block'
+};
+
+/**
+ * 统计用户作为作者的信息视图数量
+ * @param {Object} client - Prisma 客户端或事务客户端
+ */
+async function countAuthoredInfoViews(client, userId) {
+    return client.infoView.count({ where: { authorId: userId } });
+}
+
+/**
+ * 按当前策略把待删除的用户分为可删除和被阻止两组
+ * 只有 block 策略下有信息视图的用户会被阻止
+ * @param {Object} client - Prisma 客户端或事务客户端
+ * @param {Array<Object>} users - 待删除的用户
+ * @returns {Promise<{ allowed: Array<Object>, blocked: Array<Object> }>}
+ */
+async function splitUsersByInfoViews(client, users, policy = getInfoViewAuthorDeletePolicy()) {
+    if (policy !== INFO_VIEW_AUTHOR_DELETE_POLICIES.BLOCK || users.length === 0) {
+        return { allowed: users, blocked: [] };
+    }
+    const rows = await client.infoView.groupBy({
+        by: ['authorId'],
+        where: { authorId: { in: users.map(user => user.id) } }
+    });
+    const authorIds = new Set(rows.map(row => row.authorId));
+    return {
+        allowed: users.filter(user => !authorIds.has(user.id)),
+        blocked: users.filter(user => authorIds.has(user.id))
+    };
+}
+
+/**
+ * 统计匹配条件的用户中会被当前策略阻止删除的数量（有信息视图的用户，只有 block 策略下不为 0）
+ * @param {Object} client - Prisma 客户端或事务客户端
+ * @param {Object} where - 用户查询条件
+ */
+async function countBlockedUsers(client, where, policy = getInfoViewAuthorDeletePolicy()) {
+    if (policy !== INFO_VIEW_AUTHOR_DELETE_POLICIES.BLOCK) {
+        return 0;
+    }
+    return client.user.count({ where: { AND: [where, { infoViews: { some: {} } }] } });
+}
+
+/**
+ * 永久删除用户前处理其信息视图，需与删除用户在同一事务中执行
+ * cascade 策略下删除这些信息视图；nullify 策略由外键 ON DELETE SET NULL 处理
+ * @returns {Promise<number>} 删除的信息视图数量
+ */
+async function removeAuthoredInfoViews(tx, userIds, policy = getInfoViewAuthorDeletePolicy()) {
+    if (policy !== INFO_VIEW_AUTHOR_DELETE_POLICIES.CASCADE || userIds.length === 0) {
+        return 0;
+    }
+    const { count } = await tx.infoView.deleteMany({ where: { authorId: { in: userIds } } });
+    return count;
+}
+
+module.exports = {
+    INFO_VIEW_AUTHOR_DELETE_POLICIES,
+    countAuthoredInfoViews,
+    splitUsersByInfoViews,
+    countBlockedUsers,
+    removeAuthoredInfoViews
+};
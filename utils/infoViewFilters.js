@@ -0,0 +1,114 @@
+/**
+ * 信息视图筛选与排序
+ * 规则与用户列表保持一致（见 userFilters）
+ */
+
+const { ERROR_CODES } = require('./validation');
+const { parseSortParam } = require('./pagination');
+const { parseStringParam, parseDateParam } = require('./userFilters');
+
+// 允许排序的字段（白名单）
+const INFO_VIEW_SORT_FIELDS = ['id', 'createdAt', 'updatedAt'];
+
+// 默认排序：创建时间倒序
+const DEFAULT_INFO_VIEW_SORT = [
+    { field: 'createdAt', direction: 'desc' },
+    { field: 'id', direction: 'desc' }
+];
+
+/**
+ * 解析作者ID参数
+ */
+function parseAuthorIdParam(value, errors) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const authorId = Number(value);
+    if (!Number.isInteger(authorId) || authorId <= 0) {
+        errors.push({ field: 'authorId', code: ERROR_CODES.INVALID_VALUE, message: 'authorId 不是有效的用户ID' });
+        return null;
+    }
+    return authorId;
+}
+
+/**
+ * 解析信息视图筛选条件
+ * 支持的字段：
+ * - content：内容模糊匹配（不区分大小写）
+ * - authorId：作者（用户ID）
+ * - createdFrom / createdTo / updatedFrom / updatedTo：时间范围（包含边界）
+ * @param {Object} source - req.query 或导出请求体中的 filter 对象
+ * @returns {{ filter: Object, errors: Array<{field: string, code: string, message: string}> }}
+ */
+function parseInfoViewFilter(source = {}) {
+    const errors = [];
+    if (typeof source !== 'object' || source === null || Array.isArray(source)) {
+        return { filter: {}, errors: [{ field: 'filter', code: ERROR_CODES.INVALID_TYPE, message: 'filter 必须是对象' }] };
+    }
+
+    const filter = {
+        content: parseStringParam(source.content, 'content', errors),
+        authorId: parseAuthorIdParam(source.authorId, errors),
+        createdFrom: parseDateParam(source.createdFrom, 'createdFrom', errors),
+        createdTo: parseDateParam(source.createdTo, 'createdTo', errors),
+        updatedFrom: parseDateParam(source.updatedFrom, 'updatedFrom', errors),
+        updatedTo: parseDateParam(source.updatedTo, 'updatedTo', errors)
+    };
+
+    if (filter.createdFrom && filter.createdTo && filter.createdFrom > filter.createdTo) {
+        errors.push({ field: 'createdFrom', code: ERROR_CODES.OUT_OF_RANGE, message: 'createdFrom 不能晚于 createdTo' });
+    }
+    if (filter.updatedFrom && filter.updatedTo && filter.updatedFrom > filter.updatedTo) {
+        errors.push({ field: 'updatedFrom', code: ERROR_CODES.OUT_OF_RANGE, message: 'updatedFrom 不能晚于 updatedTo' });
+    }
+
+    // 去掉未提供的字段，便于序列化保存到导出任务
+    for (const key of Object.keys(filter)) {
+        if (filter[key] === null) {
+            delete filter[key];
+        }
+    }
+
+    return { filter, errors };
+}
+
+/**
+ * 把筛选条件转换为 Prisma where 条件
+ */
+function buildInfoViewWhere(filter = {}) {
+    const where = {};
+
+    if (filter.authorId) {
+        where.authorId = filter.authorId;
+    }
+    if (filter.content) {
+        where.content = { contains: filter.content, mode: 'insensitive' };
+    }
+    if (filter.createdFrom || filter.createdTo) {
+        where.createdAt = {};
+        if (filter.createdFrom) where.createdAt.gte = new Date(filter.createdFrom);
+        if (filter.createdTo) where.createdAt.lte = new Date(filter.createdTo);
+    }
+    if (filter.updatedFrom || filter.updatedTo) {
+        where.updatedAt = {};
+        if (filter.updatedFrom) where.updatedAt.gte = new Date(filter.updatedFrom);
+        if (filter.updatedTo) where.updatedAt.lte = new Date(filter.updatedTo);
+    }
+
+    return where;
+}
+
+/**
+ * 解析排序参数，格式见 pagination.parseSortParam
+ */
+function parseInfoViewSort(value) {
+    return parseSortParam(value, { fields: INFO_VIEW_SORT_FIELDS, defaultSort: DEFAULT_INFO_VIEW_SORT });
+}
+
+module.exports = {
+    INFO_VIEW_SORT_FIELDS,
+    DEFAULT_INFO_VIEW_SORT,
+    parseInfoViewFilter,
+    buildInfoViewWhere,
+    parseInfoViewSort
+};
@@ -0,0 +1,358 @@
+const { handleDatabaseError } = require('./dbErrorHandler');
+const { parsePaginationParams, toOrderBy, findManyByCursor } = require('./pagination');
+const { parseInfoViewFilter, buildInfoViewWhere, parseInfoViewSort } = require('./infoViewFilters');
+const { ERROR_CODES, schemas, validate, sendValidationError } = require('./validation');
+const { parseBooleanParam } = require('./userFilters');
+const { getActor } = require('./auditLog');
+const { REVISION_ACTIONS, lockInfoView, recordRevision } = require('./infoViewRevisions');
+
+// 查询信息视图时附带的作者信息
+const AUTHOR_INCLUDE = {
+    author: {
+        select: { id: true, name: true, deletedAt: true }
+    }
+};
+
+// 作者不存在或已删除时的校验错误
+const AUTHOR_NOT_FOUND_ERROR = { field: 'authorId', code: ERROR_CODES.INVALID_VALUE, message: '作者不存在' };
+
+/**
+ * 解析信息视图ID，无效时返回 null
+ */
+function parseInfoViewId(id) {
+    const idNum = Number(id);
+    return Number.isInteger(idNum) && idNum > 0 ? idNum : null;
+}
+
+/**
+ * 校验作者是否为未删除的用户，不存在时返回校验错误
+ */
+async function checkAuthor(prisma, authorId) {
+    if (authorId === undefined || authorId === null) {
+        return null;
+    }
+    const author = await prisma.executeWithRetry((p) =>
+        p.user.findFirst({
+            where: { id: authorId, deletedAt: null },
+            select: { id: true }
+        })
+    );
+    return author ? null : AUTHOR_NOT_FOUND_ERROR;
+}
+
+/**
+ * 判断是否为作者外键约束错误（校验作者之后、写入之前作者被永久删除）
+ */
+function isAuthorForeignKeyError(error) {
+    return !!error && error.code === 'P2003';
+}
+
+/**
+ * 查询并返回信息视图列表（分页、筛选和排序），每条记录附带作者
+ * @param {Object} baseWhere - 额外的查询条件，例如限定作者
+ */
+async function sendInfoViewsList(req, res, prisma, baseWhere = {}) {
+    const paging = parsePaginationParams(req.query);
+    const { filter, errors: filterErrors } = parseInfoViewFilter(req.query);
+    const { sort, errors: sortErrors } = parseInfoViewSort(req.query.sort);
+    const errors = [...filterErrors, ...sortErrors];
+
+    if (errors.length > 0) {
+        return sendValidationError(res, errors);
+    }
+
+    const where = { ...buildInfoViewWhere(filter), ...baseWhere };
+
+    if (paging.mode === 'cursor') {
+        const result = await findManyByCursor(
+            (args) => prisma.executeWithRetry((p) => p.infoView.findMany({ ...args, include: AUTHOR_INCLUDE })),
+            { where, sort, limit: paging.limit, cursor: paging.cursor }
+        );
+
+        if (!result) {
+            return sendValidationError(res, [
+                { field: 'cursor', code: ERROR_CODES.INVALID_VALUE, message: '无效的分页游标' }
+            ]);
+        }
+
+        return res.json({
+            data: result.data,
+            sort: sort,
+            pagination: {
+                mode: 'cursor',
+                limit: paging.limit,
+                nextCursor: result.nextCursor,
+                hasNext: result.hasNext
+            }
+        });
+    }
+
+    const [infoViews, total] = await Promise.all([
+        prisma.executeWithRetry((p) =>
+            p.infoView.findMany({
+                where,
+                skip: paging.skip,
+                take: paging.limit,
+                orderBy: toOrderBy(sort),
+                include: AUTHOR_INCLUDE
+            })
+        ),
+        prisma.executeWithRetry((p) => p.infoView.count({ where }))
+    ]);
+
+    const totalPages = Math.ceil(total / paging.limit);
+
+    return res.json({
+        data: infoViews,
+        sort: sort,
+        pagination: {
+            mode: 'offset',
+            page: paging.page,
+            limit: paging.limit,
+            total: total,
+            totalPages: totalPages,
+            hasNext: paging.page < totalPages,
+            hasPrev: paging.page > 1
+        }
+    });
+}
+
+/**
+ * 获取信息视图列表（支持分页、内容搜索和排序）
+ * 分页方式与用户列表相同：page/limit 偏移分页，或 cursor/paging=cursor 键集分页
+ * 筛选参数见 infoViewFilters.parseInfoViewFilter
+ */
+async function getInfoViewsList(req, res, prisma) {
+    try {
+        await sendInfoViewsList(req, res, prisma);
+    } catch (error) {
+        const dbError = handleDatabaseError(error, res);
+        if (dbError) return;
+        res.status(500).json({ error: '获取信息视图列表失败', details: error.message });
+    }
+}
+
+/**
+ * 获取用户作为作者的信息视图列表（分页、筛选和排序参数与信息视图列表相同）
+ * 回收站中的用户需要传入 includeDeleted=true
+ */
+async function getUserInfoViews(req, res, prisma, userId) {
+    try {
+        const userIdNum = parseInt(userId);
+        if (isNaN(userIdNum)) {
+            return res.status(400).json({ error: '无效的用户ID' });
+        }
+
+        const includeDeleted = parseBooleanParam(req.query && req.query.includeDeleted);
+        const user = await prisma.executeWithRetry((p) =>
+            p.user.findUnique({
+                where: { id: userIdNum },
+                select: { id: true, deletedAt: true }
+            })
+        );
+
+        if (!user || (user.deletedAt && !includeDeleted)) {
+            return res.status(404).json({ error: '用户未找到' });
+        }
+
+        await sendInfoViewsList(req, res, prisma, { authorId: userIdNum });
+    } catch (error) {
+        const dbError = handleDatabaseError(error, res);
+        if (dbError) return;
+        res.status(500).json({ error: '获取用户的信息视图失败', details: error.message });
+    }
+}
+
+/**
+ * 获取单个信息视图
+ */
+async function getInfoViewById(req, res, prisma, infoViewId) {
+    try {
+        const id = parseInfoViewId(infoViewId);
+        if (!id) {
+            return res.status(400).json({ error: '无效的信息视图ID' });
+        }
+
+        const infoView = await prisma.executeWithRetry((p) =>
+            p.infoView.findUnique({
+                where: { id },
+                include: AUTHOR_INCLUDE
+            })
+        );
+
+        if (!infoView) {
+            return res.status(404).json({ error: '信息视图未找到' });
+        }
+
+        res.json(infoView);
+    } catch (error) {
+        const dbError = handleDatabaseError(error, res);
+        if (dbError) return;
+        res.status(500).json({ error: '获取信息视图失败', details: error.message });
+    }
+}
+
+/**
+ * 创建信息视图，同时保存第 1 个版本
+ * authorId 可选，必须是未删除的用户
+ */
+async function createInfoView(req, res, prisma) {
+    try {
+        const { value, errors } = validate(schemas.infoView, req.body);
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+
+        const authorError = await checkAuthor(prisma, value.authorId);
+        if (authorError) {
+            return sendValidationError(res, [authorError]);
+        }
+
+        const infoView = await prisma.executeWithRetry((p) =>
+            p.$transaction(async (tx) => {
+                const created = await tx.infoView.create({
+                    data: value,
+                    include: AUTHOR_INCLUDE
+                });
+                await recordRevision(tx, {
+                    infoViewId: created.id,
+                    content: created.content,
+                    action: REVISION_ACTIONS.CREATE,
+                    actor: getActor(req)
+                });
+                return created;
+            })
+        );
+
+        console.log(`信息视图 ID ${infoView.id} 已创建`);
+
+        res.status(201).json(infoView);
+    } catch (error) {
+        if (isAuthorForeignKeyError(error)) {
+            return sendValidationError(res, [AUTHOR_NOT_FOUND_ERROR]);
+        }
+        const dbError = handleDatabaseError(error, res);
+        if (dbError) return;
+        console.error('创建信息视图失败:', error);
+        res.status(500).json({ error: '创建信息视图失败', details: error.message });
+    }
+}
+
+/**
+ * 更新信息视图
+ * PATCH 为部分更新，只修改请求体中出现的字段；PUT 为整体替换，所有字段必填
+ * authorId 传 null 时清除作者
+ * 内容有变化时保存一个新版本，旧内容保留在版本记录中
+ */
+async function updateInfoView(req, res, prisma, infoViewId, { partial = true } = {}) {
+    try {
+        const id = parseInfoViewId(infoViewId);
+        if (!id) {
+            return res.status(400).json({ error: '无效的信息视图ID' });
+        }
+
+        const { value: data, errors } = validate(schemas.infoView, req.body, { partial });
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+
+        if (Object.keys(data).length === 0) {
+            return sendValidationError(res, [
+                { field: 'body', code: ERROR_CODES.NO_FIELDS, message: '没有可更新的字段' }
+            ]);
+        }
+
+        const authorError = await checkAuthor(prisma, data.authorId);
+        if (authorError) {
+            return sendValidationError(res, [authorError]);
+        }
+
+        // 锁定信息视图后再读取旧内容，保证版本记录与实际修改顺序一致
+        const infoView = await prisma.executeWithRetry((p) =>
+            p.$transaction(async (tx) => {
+                if (!(await lockInfoView(tx, id))) {
+                    return null;
+                }
+                const existing = await tx.infoView.findUnique({ where: { id } });
+                const updated = await tx.infoView.update({
+                    where: { id },
+                    data,
+                    include: AUTHOR_INCLUDE
+                });
+                if (updated.content !== existing.content) {
+                    await recordRevision(tx, {
+                        infoViewId: id,
+                        content: updated.content,
+                        action: REVISION_ACTIONS.UPDATE,
+                        actor: getActor(req)
+                    });
+                }
+                return updated;
+            })
+        );
+
+        if (!infoView) {
+            return res.status(404).json({ error: '信息视图未找到' });
+        }
+
+        console.log(`信息视图 ID ${id} 已更新`);
+
+        res.json(infoView);
+    } catch (error) {
+        if (isAuthorForeignKeyError(error)) {
+            return sendValidationError(res, [AUTHOR_NOT_FOUND_ERROR]);
+        }
+        const dbError = handleDatabaseError(error, res);
+        if (dbError) return;
+        console.error('更新信息视图失败:', error);
+        res.status(500).json({ error: '更新信息视图失败', details: error.message });
+    }
+}
+
+/**
+ * 删除信息视图
+ */
+async function deleteInfoView(req, res, prisma, infoViewId) {
+    try {
+        const id = parseInfoViewId(infoViewId);
+        if (!id) {
+            return res.status(400).json({ error: '无效的信息视图ID' });
+        }
+
+        const infoView = await prisma.executeWithRetry((p) =>
+            p.$transaction(async (tx) => {
+                const existing = await tx.infoView.findUnique({ where: { id }, include: AUTHOR_INCLUDE });
+                if (!existing) {
+                    return null;
+                }
+                await tx.infoView.delete({ where: { id } });
+                return existing;
+            })
+        );
+
+        if (!infoView) {
+            return res.status(404).json({ error: '信息视图未找到' });
+        }
+
+        console.log(`信息视图 ID ${id} 已删除`);
+
+        res.json({
+            message: '信息视图已删除',
+            deletedInfoView: infoView
+        });
+    } catch (error) {
+        const dbError = handleDatabaseError(error, res);
+        if (dbError) return;
+        console.error('删除信息视图失败:', error);
+        res.status(500).json({ error: '删除信息视图失败', details: error.message });
+    }
+}
+
+module.exports = {
+    getInfoViewsList,
+    getUserInfoViews,
+    getInfoViewById,
+    createInfoView,
+    updateInfoView,
+    deleteInfoView
+};
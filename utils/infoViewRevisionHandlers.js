@@ -0,0 +1,298 @@
+const { handleDatabaseError } = require('./dbErrorHandler');
+const { parsePaginationParams, toOrderBy, findManyByCursor } = require('./pagination');
+const { ERROR_CODES, sendValidationError } = require('./validation');
+const { getActor } = require('./auditLog');
+const { REVISION_ACTIONS, lockInfoView, recordRevision } = require('./infoViewRevisions');
+const { diffLines } = require('./lineDiff');
+
+// 版本列表排序：版本号倒序（最新的在前）
+const REVISION_SORT = [
+    { field: 'revision', direction: 'desc' },
+    { field: 'id', direction: 'desc' }
+];
+
+// 版本列表不返回内容，内容通过单个版本接口获取
+const REVISION_SUMMARY_SELECT = {
+    id: true,
+    infoViewId: true,
+    revision: true,
+    action: true,
+    rolledBackFrom: true,
+    actor: true,
+    createdAt: true
+};
+
+/**
+ * 解析正整数参数（信息视图ID、版本号），无效时返回 null
+ */
+function parsePositiveInt(value) {
+    const num = Number(value);
+    return Number.isInteger(num) && num > 0 ? num : null;
+}
+
+/**
+ * 检查信息视图是否存在
+ */
+async function infoViewExists(prisma, id) {
+    const infoView = await prisma.executeWithRetry((p) =>
+        p.infoView.findUnique({
+            where: { id },
+            select: { id: true }
+        })
+    );
+    return !!infoView;
+}
+
+/**
+ * 获取信息视图的版本列表（支持分页，按版本号倒序）
+ */
+async function getInfoViewRevisions(req, res, prisma, infoViewId) {
+    try {
+        const id = parsePositiveInt(infoViewId);
+        if (!id) {
+            return res.status(400).json({ error: '无效的信息视图ID' });
+        }
+
+        if (!(await infoViewExists(prisma, id))) {
+            return res.status(404).json({ error: '信息视图未找到' });
+        }
+
+        const paging = parsePaginationParams(req.query);
+        const where = { infoViewId: id };
+
+        if (paging.mode === 'cursor') {
+            const result = await findManyByCursor(
+                (args) => prisma.executeWithRetry((p) => p.infoViewRevision.findMany({ ...args, select: REVISION_SUMMARY_SELECT })),
+                { where, sort: REVISION_SORT, limit: paging.limit, cursor: paging.cursor }
+            );
+
+            if (!result) {
+                return sendValidationError(res, [
+                    { field: 'cursor', code: ERROR_CODES.INVALID_VALUE, message: '无效的分页游标' }
+                ]);
+            }
+
+            return res.json({
+                data: result.data,
+                pagination: {
+                    mode: 'cursor',
+                    limit: paging.limit,
+                    nextCursor: result.nextCursor,
+                    hasNext: result.hasNext
+                }
+            });
+        }
+
+        const [revisions, total] = await Promise.all([
+            prisma.executeWithRetry((p) =>
+                p.infoViewRevision.findMany({
+                    where,
+                    skip: paging.skip,
+                    take: paging.limit,
+                    orderBy: toOrderBy(REVISION_SORT),
+                    select: REVISION_SUMMARY_SELECT
+                })
+            ),
+            prisma.executeWithRetry((p) => p.infoViewRevision.count({ where }))
+        ]);
+
+        const totalPages = Math.ceil(total / paging.limit);
+
+        res.json({
+            data: revisions,
+            pagination: {
+                mode: 'offset',
+                page: paging.page,
+                limit: paging.limit,
+                total: total,
+                totalPages: totalPages,
+                hasNext: paging.page < totalPages,
+                hasPrev: paging.page > 1
+            }
+        });
+    } catch (error) {
+        const dbError = handleDatabaseError(error, res);
+        if (dbError) return;
+        res.status(500).json({ error: '获取版本列表失败', details: error.message });
+    }
+}
+
+/**
+ * 获取信息视图的单个版本（包含内容）
+ */
+async function getInfoViewRevision(req, res, prisma, infoViewId, revisionNumber) {
+    try {
+        const id = parsePositiveInt(infoViewId);
+        if (!id) {
+            return res.status(400).json({ error: '无效的信息视图ID' });
+        }
+        const revision = parsePositiveInt(revisionNumber);
+        if (!revision) {
+            return res.status(400).json({ error: '无效的版本号' });
+        }
+
+        const found = await prisma.executeWithRetry((p) =>
+            p.infoViewRevision.findUnique({
+                where: { infoViewId_revision: { infoViewId: id, revision } }
+            })
+        );
+
+        if (!found) {
+            return res.status(404).json({ error: '版本不存在' });
+        }
+
+        res.json(found);
+    } catch (error) {
+        const dbError = handleDatabaseError(error, res);
+        if (dbError) return;
+        res.status(500).json({ error: '获取版本失败', details: error.message });
+    }
+}
+
+/**
+ * 按行比较信息视图的两个版本
+ * 查询参数 from / to 为版本号：to 默认为最新版本，from 默认为 to 的上一个版本
+ */
+async function diffInfoViewRevisions(req, res, prisma, infoViewId) {
+    try {
+        const id = parsePositiveInt(infoViewId);
+        if (!id) {
+            return res.status(400).json({ error: '无效的信息视图ID' });
+        }
+
+        const errors = [];
+        const parseRevisionParam = (field) => {
+            const value = req.query[field];
+            if (value === undefined || value === '') {
+                return null;
+            }
+            const revision = parsePositiveInt(value);
+            if (!revision) {
+                errors.push({ field, code: ERROR_CODES.INVALID_VALUE, message: `${field} 必须是正整数版本号` });
+            }
+            return revision;
+        };
+        let to = parseRevisionParam('to');
+        let from = parseRevisionParam('from');
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+
+        if (!(await infoViewExists(prisma, id))) {
+            return res.status(404).json({ error: '信息视图未找到' });
+        }
+
+        if (to === null) {
+            const { _max } = await prisma.executeWithRetry((p) =>
+                p.infoViewRevision.aggregate({
+                    where: { infoViewId: id },
+                    _max: { revision: true }
+                })
+            );
+            to = _max.revision;
+            if (!to) {
+                return res.status(404).json({ error: '版本不存在' });
+            }
+        }
+        if (from === null) {
+            from = Math.max(1, to - 1);
+        }
+
+        const revisions = await prisma.executeWithRetry((p) =>
+            p.infoViewRevision.findMany({
+                where: { infoViewId: id, revision: { in: [from, to] } }
+            })
+        );
+        const fromRevision = revisions.find(item => item.revision === from);
+        const toRevision = revisions.find(item => item.revision === to);
+
+        if (!fromRevision || !toRevision) {
+            return res.status(404).json({
+                error: '版本不存在',
+                missing: [from, to].filter(revision => !revisions.some(item => item.revision === revision))
+            });
+        }
+
+        const { changes, stats } = diffLines(fromRevision.content, toRevision.content);
+        const summarize = ({ revision, action, actor, createdAt }) => ({ revision, action, actor, createdAt });
+
+        res.json({
+            infoViewId: id,
+            from: summarize(fromRevision),
+            to: summarize(toRevision),
+            stats,
+            changes
+        });
+    } catch (error) {
+        const dbError = handleDatabaseError(error, res);
+        if (dbError) return;
+        res.status(500).json({ error: '比较版本失败', details: error.message });
+    }
+}
+
+/**
+ * 把信息视图的内容回滚到指定版本
+ * 回滚本身也保存为一个新版本（action 为 rollback，rolledBackFrom 为回滚到的版本号），之前的版本都会保留
+ */
+async function rollbackInfoView(req, res, prisma, infoViewId, revisionNumber) {
+    try {
+        const id = parsePositiveInt(infoViewId);
+        if (!id) {
+            return res.status(400).json({ error: '无效的信息视图ID' });
+        }
+        const revision = parsePositiveInt(revisionNumber);
+        if (!revision) {
+            return res.status(400).json({ error: '无效的版本号' });
+        }
+
+        const result = await prisma.executeWithRetry((p) =>
+            p.$transaction(async (tx) => {
+                if (!(await lockInfoView(tx, id))) {
+                    return { notFound: '信息视图未找到' };
+                }
+                const target = await tx.infoViewRevision.findUnique({
+                    where: { infoViewId_revision: { infoViewId: id, revision } }
+                });
+                if (!target) {
+                    return { notFound: '版本不存在' };
+                }
+                const infoView = await tx.infoView.update({
+                    where: { id },
+                    data: { content: target.content }
+                });
+                const newRevision = await recordRevision(tx, {
+                    infoViewId: id,
+                    content: target.content,
+                    action: REVISION_ACTIONS.ROLLBACK,
+                    actor: getActor(req),
+                    rolledBackFrom: target.revision
+                });
+                return { infoView, revision: newRevision };
+            })
+        );
+
+        if (result.notFound) {
+            return res.status(404).json({ error: result.notFound });
+        }
+
+        console.log(`信息视图 ID ${id} 已回滚到版本 ${revision}`);
+
+        res.json({
+            message: `已回滚到版本 ${revision}`,
+            infoView: result.infoView,
+            revision: result.revision
+        });
+    } catch (error) {
+        const dbError = handleDatabaseError(error, res);
+        if (dbError) return;
+        console.error('回滚信息视图失败:', error);
+        res.status(500).json({ error: '回滚信息视图失败', details: error.message });
+    }
+}
+
+module.exports = {
+    getInfoViewRevisions,
+    getInfoViewRevision,
+    diffInfoViewRevisions,
+    rollbackInfoView
+};
@@ -0,0 +1,49 @@
+/**
+ * 信息视图版本记录
+ * 创建信息视图、修改内容和回滚时各保存一个版本（完整内容），版本号从 1 开始递增
+ * 写入版本前先锁定信息视图所在行，保证并发修改时版本号连续且不重复
+ */
+
+// 版本操作类型
+const REVISION_ACTIONS = {
+    CREATE: 'create',
+    UPDATE: 'update',
+    ROLLBACK: 'rollback'
+};
+
+/**
+ * 在事务中锁定信息视图（SELECT ... FOR UPDATE），直到事务结束
+ * @returns {Promise<boolean>} 信息视图是否存在
+ */
+async function lockInfoView(tx, infoViewId) {
+    const rows = await tx.$queryRaw`SELECT "id" FROM "info_view" WHERE "id" = ${infoViewId} FOR UPDATE`;
+    return rows.length > 0;
+}
+
+/**
+ * 保存信息视图的一个版本，需在锁定信息视图的事务中调用
+ * @param {Object} tx - 事务客户端
+ * @param {Object} revision - { infoViewId, content, action, actor, rolledBackFrom }
+ */
+async function recordRevision(tx, { infoViewId, content, action, actor = null, rolledBackFrom = null }) {
+    const { _max } = await tx.infoViewRevision.aggregate({
+        where: { infoViewId },
+        _max: { revision: true }
+    });
+    return tx.infoViewRevision.create({
+        data: {
+            infoViewId,
+            revision: (_max.revision || 0) + 1,
+            content,
+            action,
+            actor,
+            rolledBackFrom
+        }
+    });
+}
+
+module.exports = {
+    REVISION_ACTIONS,
+    lockInfoView,
+    recordRevision
+};
@@ -0,0 +1,158 @@
+/**
+ * 按行比较两段文本
+ * 使用 Myers 差异算法求最短编辑脚本（最长公共子序列），先去掉首尾相同的行以减少计算量
+ * 差异过大（编辑距离超过 MAX_EDIT_DISTANCE）时不再求最优解，按整体删除旧内容、插入新内容处理
+ */
+
+// 求最短编辑脚本时允许的最大编辑距离，用于限制最坏情况下的耗时和内存
+const MAX_EDIT_DISTANCE = 2000;
+
+// 差异类型
+const DIFF_TYPES = {
+    EQUAL: 'equal',
+    ADDED: 'added',
+    REMOVED: 'removed'
+};
+
+/**
+ * 把文本拆分为行（兼容 \r\n），空文本没有任何行
+ */
+function splitLines(text) {
+    return text === '' ? [] : text.split(/\r?\n/);
+}
+
+/**
+ * Myers 算法求 a 到 b 的最短编辑脚本
+ * @returns {Array<string>|null} 操作序列（EQUAL / REMOVED / ADDED），编辑距离超过 maxEditDistance 时返回 null
+ */
+function shortestEditScript(a, b, maxEditDistance) {
+    const n = a.length;
+    const m = b.length;
+    const max = n + m;
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    // trace[d] 保存第 d 步开始前 k ∈ [-d-1, d+1] 范围内的 v，用于回溯
+    const trace = [];
+
+    for (let d = 0; d <= max; d++) {
+        if (d > maxEditDistance) {
+            return null;
+        }
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+
+            if (x >= n && y >= m) {
+                return backtrack(trace, n, m);
+            }
+        }
+    }
+
+    return backtrack(trace, n, m);
+}
+
+/**
+ * 根据 trace 从终点回溯出编辑脚本
+ */
+function backtrack(trace, n, m) {
+    const ops = [];
+    let x = n;
+    let y = m;
+
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const saved = trace[d];
+        const at = (k) => saved[k + d + 1];
+        const k = x - y;
+        const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+        const prevX = at(prevK);
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            ops.push(DIFF_TYPES.EQUAL);
+            x--;
+            y--;
+        }
+        if (d > 0) {
+            ops.push(x === prevX ? DIFF_TYPES.ADDED : DIFF_TYPES.REMOVED);
+        }
+        x = prevX;
+        y = prevY;
+    }
+
+    return ops.reverse();
+}
+
+/**
+ * 按行比较新旧文本
+ * @param {string} oldText - 旧文本
+ * @param {string} newText - 新文本
+ * @returns {{ changes: Array<{type: string, oldLine: number|null, newLine: number|null, text: string}>,
+ *             stats: { added: number, removed: number, unchanged: number } }}
+ *          行号从 1 开始，新增的行没有 oldLine，删除的行没有 newLine
+ */
+function diffLines(oldText, newText, { maxEditDistance = MAX_EDIT_DISTANCE } = {}) {
+    const a = splitLines(oldText);
+    const b = splitLines(newText);
+
+    // 去掉首尾相同的行，只对中间不同的部分求编辑脚本
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+        start++;
+    }
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const middleA = a.slice(start, endA);
+    const middleB = b.slice(start, endB);
+    const middleOps = shortestEditScript(middleA, middleB, maxEditDistance) || [
+        ...middleA.map(() => DIFF_TYPES.REMOVED),
+        ...middleB.map(() => DIFF_TYPES.ADDED)
+    ];
+    const ops = [
+        ...new Array(start).fill(DIFF_TYPES.EQUAL),
+        ...middleOps,
+        ...new Array(a.length - endA).fill(DIFF_TYPES.EQUAL)
+    ];
+
+    const changes = [];
+    const stats = { added: 0, removed: 0, unchanged: 0 };
+    let i = 0;
+    let j = 0;
+    for (const type of ops) {
+        if (type === DIFF_TYPES.EQUAL) {
+            changes.push({ type, oldLine: i + 1, newLine: j + 1, text: a[i] });
+            stats.unchanged++;
+            i++;
+            j++;
+        } else if (type === DIFF_TYPES.REMOVED) {
+            changes.push({ type, oldLine: i + 1, newLine: null, text: a[i] });
+            stats.removed++;
+            i++;
+        } else {
+            changes.push({ type, oldLine: null, newLine: j + 1, text: b[j] });
+            stats.added++;
+            j++;
+        }
+    }
+
+    return { changes, stats };
+}
+
+module.exports = {
+    DIFF_TYPES,
+    MAX_EDIT_DISTANCE,
+    diffLines
+};
@@ -0,0 +1,243 @@
+/**
+ * 分页工具
+ * 支持两种分页模式：
+ * - offset：传统的 page/limit 分页（skip/take）
+ * - cursor：基于排序字段的键集分页，使用不透明的 cursor/nextCursor 翻页
+ */
+
+const { ERROR_CODES } = require('./validation');
+
+// 可用于游标分页排序的字段及其取值类型，解码游标时按类型校验各字段的取值
+// 新增排序字段时需要在这里登记，未登记字段的游标一律视为无效
+const CURSOR_FIELD_TYPES = {
+    id: 'int',
+    revision: 'int',
+    name: 'string',
+    createdAt: 'date',
+    updatedAt: 'date'
+};
+
+// 游标中日期的格式（encodeCursor 写入的 toISOString 结果）
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+
+/**
+ * 解析分页参数
+ * 传入 cursor 或 paging=cursor 时使用游标模式，否则使用 page/limit 模式
+ * @param {Object} query - 请求查询参数
+ * @param {Object} options - { defaultLimit, maxLimit }
+ * @returns {{ mode: string, limit: number, page?: number, skip?: number, cursor?: string|null }}
+ */
+function parsePaginationParams(query = {}, { defaultLimit = 10, maxLimit = 100 } = {}) {
+    const limit = parseInt(query.limit) || defaultLimit;
+    const limitNum = Math.max(1, Math.min(maxLimit, limit));
+
+    const cursor = typeof query.cursor === 'string' && query.cursor !== '' ? query.cursor : null;
+    if (cursor || query.paging === 'cursor') {
+        return { mode: 'cursor', limit: limitNum, cursor };
+    }
+
+    const page = parseInt(query.page) || 1;
+    const pageNum = Math.max(1, page);
+    return {
+        mode: 'offset',
+        limit: limitNum,
+        page: pageNum,
+        skip: (pageNum - 1) * limitNum
+    };
+}
+
+/**
+ * 解析排序参数
+ * 格式：逗号分隔的字段列表，字段前加 "-" 或后接 ":desc" 表示倒序，例如
+ *   sort=name,-createdAt    或    sort=name:asc,createdAt:desc
+ * 字段必须在白名单中；未指定 id 时自动追加 id 作为最后的排序字段，保证顺序稳定
+ * @param {*} value - 查询参数 sort
+ * @param {Object} options - { fields: 允许排序的字段, defaultSort: 未指定时的排序 }
+ * @returns {{ sort: Array<{field: string, direction: string}>, errors: Array }}
+ */
+function parseSortParam(value, { fields, defaultSort }) {
+    const errors = [];
+    if (value === undefined || value === null || value === '') {
+        return { sort: defaultSort, errors };
+    }
+    if (typeof value !== 'string') {
+        return { sort: defaultSort, errors: [{ field: 'sort', code: ERROR_CODES.INVALID_TYPE, message: 'sort 必须是字符串' }] };
+    }
+
+    const sort = [];
+    for (const part of value.split(',').map(item => item.trim()).filter(Boolean)) {
+        let field = part;
+        let direction = 'asc';
+        if (field.startsWith('-')) {
+            field = field.slice(1);
+            direction = 'desc';
+        } else if (field.includes(':')) {
+            [field, direction] = field.split(':');
+            direction = (direction || '').toLowerCase();
+        }
+
+        if (!fields.includes(field)) {
+            errors.push({ field: 'sort', code: ERROR_CODES.INVALID_VALUE, message: `不支持按 ${field} 排序，可用字段: ${fields.join(', ')}` });
+            continue;
+        }
+        if (direction !== 'asc' && direction !== 'desc') {
+            errors.push({ field: 'sort', code: ERROR_CODES.INVALID_VALUE, message: `无效的排序方向: ${direction}` });
+            continue;
+        }
+        if (sort.some(item => item.field === field)) {
+            errors.push({ field: 'sort', code: ERROR_CODES.INVALID_VALUE, message: `重复的排序字段: ${field}` });
+            continue;
+        }
+        sort.push({ field, direction });
+    }
+
+    if (sort.length === 0) {
+        return { sort: defaultSort, errors };
+    }
+    if (!sort.some(item => item.field === 'id')) {
+        sort.push({ field: 'id', direction: sort[sort.length - 1].direction });
+    }
+
+    return { sort, errors };
+}
+
+/**
+ * 把排序规则转换为 Prisma orderBy 数组
+ * @param {Array<{field: string, direction: string}>} sort
+ */
+function toOrderBy(sort) {
+    return sort.map(({ field, direction }) => ({ [field]: direction }));
+}
+
+/**
+ * 排序规则的签名，写入游标用于校验游标与当前排序是否一致
+ */
+function sortSignature(sort) {
+    return sort.map(({ field, direction }) => `${field}:${direction}`).join(',');
+}
+
+/**
+ * 根据最后一条记录生成游标
+ * @param {Object} record - 当前页最后一条记录
+ * @param {Array<{field: string, direction: string}>} sort - 排序规则（最后一项必须是唯一字段，如 id）
+ * @returns {string} base64url 编码的游标
+ */
+function encodeCursor(record, sort) {
+    const payload = {
+        s: sortSignature(sort),
+        v: sort.map(({ field }) => {
+            const value = record[field];
+            return value instanceof Date ? value.toISOString() : value;
+        })
+    };
+    return Buffer.from(JSON.stringify(payload), 'utf8').toString('base64url');
+}
+
+/**
+ * 按字段类型校验并转换游标中的取值，类型不符时返回 undefined
+ * 游标的取值会直接用于查询条件，不能接受对象等其它类型（否则可以注入查询运算符）
+ */
+function parseCursorValue(field, value) {
+    switch (CURSOR_FIELD_TYPES[field]) {
+        case 'int':
+            return Number.isSafeInteger(value) ? value : undefined;
+        case 'string':
+            return typeof value === 'string' ? value : undefined;
+        case 'date': {
+            if (typeof value !== 'string' || !ISO_DATE_PATTERN.test(value)) {
+                return undefined;
+            }
+            const date = new Date(value);
+            return isNaN(date.getTime()) ? undefined : date;
+        }
+        default:
+            return undefined;
+    }
+}
+
+/**
+ * 解析游标，返回各排序字段的取值
+ * 游标格式不正确、与当前排序不一致或取值类型与字段不符时返回 null
+ */
+function decodeCursor(cursor, sort) {
+    try {
+        const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!payload || payload.s !== sortSignature(sort) || !Array.isArray(payload.v) || payload.v.length !== sort.length) {
+            return null;
+        }
+        const values = sort.map(({ field }, index) => parseCursorValue(field, payload.v[index]));
+        return values.includes(undefined) ? null : values;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * 构建键集分页条件：返回排序位置位于游标之后的记录
+ * 例如排序 (createdAt desc, id desc) 时生成：
+ *   createdAt <= c AND (createdAt < c OR (createdAt = c AND id < i))
+ * 第一个排序字段的范围条件是冗余的，用于让数据库直接按索引范围扫描
+ */
+function buildKeysetWhere(sort, values) {
+    const or = sort.map(({ field, direction }, index) => {
+        const condition = {};
+        for (let i = 0; i < index; i++) {
+            condition[sort[i].field] = values[i];
+        }
+        condition[field] = { [direction === 'desc' ? 'lt' : 'gt']: values[index] };
+        return condition;
+    });
+    if (sort.length === 1) {
+        return { OR: or };
+    }
+    const [{ field, direction }] = sort;
+    return {
+        AND: [
+            { [field]: { [direction === 'desc' ? 'lte' : 'gte']: values[0] } },
+            { OR: or }
+        ]
+    };
+}
+
+/**
+ * 执行键集分页查询
+ * 多取一条记录用于判断是否还有下一页
+ * @param {Function} findMany - (args) => Promise<Array>，由调用方包装 executeWithRetry
+ * @param {Object} options - { where, sort, limit, cursor }
+ * @returns {Promise<{ data: Array, nextCursor: string|null, hasNext: boolean }|null>} 游标无效时返回 null
+ */
+async function findManyByCursor(findMany, { where = {}, sort, limit, cursor = null }) {
+    let keysetWhere = where;
+    if (cursor) {
+        const values = decodeCursor(cursor, sort);
+        if (!values) {
+            return null;
+        }
+        keysetWhere = { AND: [where, buildKeysetWhere(sort, values)] };
+    }
+
+    const rows = await findMany({
+        where: keysetWhere,
+        take: limit + 1,
+        orderBy: toOrderBy(sort)
+    });
+
+    const hasNext = rows.length > limit;
+    const data = hasNext ? rows.slice(0, limit) : rows;
+
+    return {
+        data,
+        nextCursor: hasNext ? encodeCursor(data[data.length - 1], sort) : null,
+        hasNext
+    };
+}
+
+module.exports = {
+    parsePaginationParams,
+    parseSortParam,
+    toOrderBy,
+    encodeCursor,
+    decodeCursor,
+    buildKeysetWhere,
+    findManyByCursor
+};
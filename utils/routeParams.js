@@ -160,10 +160,76 @@ function extractUserId(req) {
     return null;
 }
 
+/**
+ * 提取信息视图 ID 从请求中
+ * @param {Object} req - Express 请求对象
+ * @returns {string|null} 信息视图 ID
+ */
+function extractInfoViewId(req) {
+    // 方法1: 从 req.query.id 获取
+    if (req.query && req.query.id) {
+        return req.query.id;
+    }
+
+    // 方法2: 从 Express 路由参数获取
+    if (req.params && req.params.id) {
+        return req.params.id;
+    }
+
+    // 方法3: 从 URL 路径中解析
+    const pattern = /\/api\/infoViews\/(\d+)/;
+    return extractParamFromUrl(req, pattern, 'infoViews|');
+}
+
+/**
+ * 提取定时导出 ID 从请求中
+ * @param {Object} req - Express 请求对象
+ * @returns {string|null} 定时导出 ID
+ */
+function extractScheduleId(req) {
+    // 方法1: 从 req.query.id 获取
+    if (req.query && req.query.id) {
+        return req.query.id;
+    }
+
+    // 方法2: 从 Express 路由参数获取
+    if (req.params && req.params.id) {
+        return req.params.id;
+    }
+
+    // 方法3: 从 URL 路径中解析
+    const pattern = /\/api\/export\/schedules\/(\d+)/;
+    return extractParamFromUrl(req, pattern);
+}
+
+/**
+ * 提取信息视图版本号从请求中
+ * @param {Object} req - Express 请求对象
+ * @returns {string|null} 版本号
+ */
+function extractRevision(req) {
+    // 方法1: 从 req.query.revision 获取
+    if (req.query && req.query.revision) {
+        return req.query.revision;
+    }
+
+    // 方法2: 从 Express 路由参数获取
+    if (req.params && req.params.revision) {
+        return req.params.revision;
+    }
+
+    // 方法3: 从 URL 路径中解析
+    const pattern = /\/api\/infoViews\/\d+\/revisions\/([^\/\?]+)/;
+    return extractParamFromUrl(req, pattern);
+}
+
 module.exports = {
     extractParamFromUrl,
     extractTaskId,
     extractFormat,
-    extractUserId
+    extractUserId,
+    extractInfoViewId,
+    extractScheduleId,
+    extractRevision
 };
 
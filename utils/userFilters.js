@@ -0,0 +1,224 @@
+/**
+ * 用户筛选与排序
+ * 列表接口（查询参数）和导出任务（请求体中的 filter 对象）共用同一套筛选规则，
+ * 保证“导出当前看到的数据”与列表结果一致
+ */
+
+const { ERROR_CODES } = require('./validation');
+const { parseSortParam } = require('./pagination');
+
+// 允许排序的字段（白名单）
+const USER_SORT_FIELDS = ['id', 'name', 'createdAt', 'updatedAt'];
+
+// 默认排序：创建时间倒序
+const DEFAULT_USER_SORT = [
+    { field: 'createdAt', direction: 'desc' },
+    { field: 'id', direction: 'desc' }
+];
+
+// ids 筛选的最大数量
+const MAX_FILTER_IDS = 1000;
+
+// 名称搜索模式：contains 为包含匹配（默认），fuzzy 为模糊和拼音匹配（见 userSearch）
+const USER_SEARCH_MODES = ['contains', 'fuzzy'];
+
+/**
+ * 解析布尔类型参数（'true' / '1' 视为真）
+ */
+function parseBooleanParam(value) {
+    return value === true || value === 'true' || value === '1';
+}
+
+// 请求体中可以解析为布尔值的取值（parseBooleanParam 的真值及对应的假值）
+const BOOLEAN_BODY_VALUES = [true, false, 'true', 'false', '1', '0', 1, 0];
+
+/**
+ * 解析请求体中的布尔参数，未提供时返回默认值
+ * 不能解析为布尔值时记录错误并返回 null，调用方需先检查 errors
+ */
+function parseBooleanBodyParam(value, field, errors, defaultValue = false) {
+    if (value === undefined || value === null) {
+        return defaultValue;
+    }
+    if (!BOOLEAN_BODY_VALUES.includes(value)) {
+        errors.push({ field, code: ERROR_CODES.INVALID_TYPE, message: `${field} 必须是布尔值` });
+        return null;
+    }
+    return parseBooleanParam(String(value));
+}
+
+/**
+ * 解析可选的字符串参数，空字符串视为未提供
+ */
+function parseStringParam(value, field, errors) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    if (typeof value !== 'string') {
+        errors.push({ field, code: ERROR_CODES.INVALID_TYPE, message: `${field} 必须是字符串` });
+        return null;
+    }
+    const trimmed = value.trim();
+    return trimmed === '' ? null : trimmed;
+}
+
+/**
+ * 解析日期参数（ISO 8601 字符串或时间戳）
+ */
+function parseDateParam(value, field, errors) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const date = typeof value === 'number' || /^\d+$/.test(String(value))
+        ? new Date(Number(value))
+        : new Date(value);
+    if (isNaN(date.getTime())) {
+        errors.push({ field, code: ERROR_CODES.INVALID_VALUE, message: `${field} 不是有效的日期` });
+        return null;
+    }
+    return date;
+}
+
+/**
+ * 解析 ids 参数（数组或逗号分隔的字符串）
+ */
+function parseIdsParam(value, field, errors) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    const ids = list.map(id => Number(typeof id === 'string' ? id.trim() : id));
+    if (ids.length === 0 || ids.some(id => !Number.isInteger(id) || id <= 0)) {
+        errors.push({ field, code: ERROR_CODES.INVALID_VALUE, message: `${field} 中包含无效的用户ID` });
+        return null;
+    }
+    if (ids.length > MAX_FILTER_IDS) {
+        errors.push({ field, code: ERROR_CODES.TOO_LONG, message: `${field} 最多包含 ${MAX_FILTER_IDS} 个用户ID` });
+        return null;
+    }
+    return ids;
+}
+
+/**
+ * 解析名称搜索模式
+ */
+function parseSearchModeParam(value, errors) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (!USER_SEARCH_MODES.includes(value)) {
+        errors.push({ field: 'searchMode', code: ERROR_CODES.INVALID_VALUE, message: `searchMode 必须是 ${USER_SEARCH_MODES.join(' / ')} 之一` });
+        return null;
+    }
+    // 默认模式不需要保存
+    return value === 'contains' ? null : value;
+}
+
+/**
+ * 解析用户筛选条件
+ * 支持的字段：
+ * - name：名称模糊匹配（不区分大小写）
+ * - searchMode：名称搜索模式，fuzzy 时按相似度和拼音匹配 name
+ * - nameExact：名称精确匹配
+ * - namePrefix：名称前缀匹配（不区分大小写）
+ * - ids：用户ID列表（数组或逗号分隔）
+ * - createdFrom / createdTo / updatedFrom / updatedTo：时间范围（包含边界）
+ * - includeDeleted：是否包含回收站中的用户
+ * @param {Object} source - req.query 或请求体中的 filter 对象
+ * @returns {{ filter: Object, errors: Array<{field: string, code: string, message: string}> }}
+ */
+function parseUserFilter(source = {}) {
+    const errors = [];
+    if (typeof source !== 'object' || source === null || Array.isArray(source)) {
+        return { filter: {}, errors: [{ field: 'filter', code: ERROR_CODES.INVALID_TYPE, message: 'filter 必须是对象' }] };
+    }
+
+    const filter = {
+        name: parseStringParam(source.name, 'name', errors),
+        searchMode: parseSearchModeParam(source.searchMode, errors),
+        nameExact: parseStringParam(source.nameExact, 'nameExact', errors),
+        namePrefix: parseStringParam(source.namePrefix, 'namePrefix', errors),
+        ids: parseIdsParam(source.ids, 'ids', errors),
+        createdFrom: parseDateParam(source.createdFrom, 'createdFrom', errors),
+        createdTo: parseDateParam(source.createdTo, 'createdTo', errors),
+        updatedFrom: parseDateParam(source.updatedFrom, 'updatedFrom', errors),
+        updatedTo: parseDateParam(source.updatedTo, 'updatedTo', errors),
+        includeDeleted: parseBooleanParam(source.includeDeleted)
+    };
+
+    if (filter.createdFrom && filter.createdTo && filter.createdFrom > filter.createdTo) {
+        errors.push({ field: 'createdFrom', code: ERROR_CODES.OUT_OF_RANGE, message: 'createdFrom 不能晚于 createdTo' });
+    }
+    if (filter.updatedFrom && filter.updatedTo && filter.updatedFrom > filter.updatedTo) {
+        errors.push({ field: 'updatedFrom', code: ERROR_CODES.OUT_OF_RANGE, message: 'updatedFrom 不能晚于 updatedTo' });
+    }
+
+    // 去掉未提供的字段，便于序列化保存到导出任务
+    for (const key of Object.keys(filter)) {
+        if (filter[key] === null || filter[key] === false) {
+            delete filter[key];
+        }
+    }
+
+    return { filter, errors };
+}
+
+/**
+ * 把筛选条件转换为 Prisma where 条件
+ */
+function buildUserWhere(filter = {}) {
+    const where = {};
+    const and = [];
+
+    if (!filter.includeDeleted) {
+        where.deletedAt = null;
+    }
+    if (filter.ids) {
+        where.id = { in: filter.ids };
+    }
+    if (filter.name) {
+        and.push({ name: { contains: filter.name, mode: 'insensitive' } }); // 不区分大小写（如果数据库支持）
+    }
+    if (filter.nameExact) {
+        and.push({ name: { equals: filter.nameExact } });
+    }
+    if (filter.namePrefix) {
+        and.push({ name: { startsWith: filter.namePrefix, mode: 'insensitive' } });
+    }
+    if (filter.createdFrom || filter.createdTo) {
+        where.createdAt = {};
+        if (filter.createdFrom) where.createdAt.gte = new Date(filter.createdFrom);
+        if (filter.createdTo) where.createdAt.lte = new Date(filter.createdTo);
+    }
+    if (filter.updatedFrom || filter.updatedTo) {
+        where.updatedAt = {};
+        if (filter.updatedFrom) where.updatedAt.gte = new Date(filter.updatedFrom);
+        if (filter.updatedTo) where.updatedAt.lte = new Date(filter.updatedTo);
+    }
+    if (and.length > 0) {
+        where.AND = and;
+    }
+
+    return where;
+}
+
+/**
+ * 解析排序参数，格式见 pagination.parseSortParam
+ * @returns {{ sort: Array<{field: string, direction: string}>, errors: Array }}
+ */
+function parseUserSort(value) {
+    return parseSortParam(value, { fields: USER_SORT_FIELDS, defaultSort: DEFAULT_USER_SORT });
+}
+
+module.exports = {
+    USER_SORT_FIELDS,
+    USER_SEARCH_MODES,
+    DEFAULT_USER_SORT,
+    parseBooleanParam,
+    parseBooleanBodyParam,
+    parseStringParam,
+    parseDateParam,
+    parseUserFilter,
+    buildUserWhere,
+    parseUserSort
+};
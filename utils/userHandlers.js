@@ -1,28 +1,117 @@
 const { handleDatabaseError } = require('./dbErrorHandler');
+const { getUserTrashRetentionDays, getInfoViewAuthorDeletePolicy } = require('./envConfig');
+const { parsePaginationParams, toOrderBy, findManyByCursor } = require('./pagination');
+const { parseBooleanParam, parseBooleanBodyParam, parseUserFilter, buildUserWhere, parseUserSort } = require('./userFilters');
+const { ERROR_CODES, schemas, validate, sendValidationError } = require('./validation');
+const { AUDIT_ACTIONS, AUDIT_SOURCES, getActor, recordAuditEvent, recordAuditEvents } = require('./auditLog');
+const { setEtag, isNotModified, checkIfMatch, sendPreconditionFailed } = require('./etag');
+const { computeNameKey, isNameConflictError, sendNameConflict } = require('./userNamePolicy');
+const { SCORE_SORT, computeNamePinyin, resolveUserQuery, attachScores, sortByScore } = require('./userSearch');
+const {
+    INFO_VIEW_AUTHOR_DELETE_POLICIES,
+    countAuthoredInfoViews,
+    splitUsersByInfoViews,
+    countBlockedUsers,
+    removeAuthoredInfoViews
+} = require('./infoViewAuthorPolicy');
+
+// 批量删除时 ids 数组的最大长度
+const BULK_DELETE_MAX_IDS = 10000;
+
+// 批量删除和清理回收站时每批处理的用户数量
+// 在同一事务中分批删除并写入审计记录，避免一次加载全部匹配的用户，也避免超过 PostgreSQL 的参数个数上限
+const BULK_BATCH_SIZE = 1000;
+
+// 批量删除和清理回收站的事务超时时间（毫秒），所有批次在同一事务中，需要逐条写入审计记录，比默认的 5 秒长得多
+const BULK_TRANSACTION_TIMEOUT = 10 * 60 * 1000;
 
 /**
- * 获取用户列表（支持分页）
+ * 在事务中按 id 升序分批处理匹配条件的用户，每批执行 handleBatch
+ * 所有批次在调用方的同一事务中，任一批失败时整体回滚
+ * @param {Object} tx - 事务客户端
+ * @param {Object} where - 用户查询条件
+ * @param {Function} handleBatch - (tx, users) => Promise<Object>，返回本批的各项数量
+ * @returns {Promise<Object>} 各批数量按字段累加的结果
+ */
+async function processUsersInBatches(tx, where, handleBatch) {
+    const totals = {};
+    let lastId = 0;
+    for (;;) {
+        const users = await tx.user.findMany({
+            where: { AND: [where, { id: { gt: lastId } }] },
+            orderBy: { id: 'asc' },
+            take: BULK_BATCH_SIZE
+        });
+        if (users.length > 0) {
+            for (const [key, value] of Object.entries(await handleBatch(tx, users))) {
+                totals[key] = (totals[key] || 0) + value;
+            }
+        }
+        if (users.length < BULK_BATCH_SIZE) {
+            return totals;
+        }
+        lastId = users[users.length - 1].id;
+    }
+}
+
+/**
+ * 获取用户列表（支持分页、筛选和排序）
+ * - page/limit：偏移分页，返回总数和总页数
+ * - cursor/paging=cursor：键集分页，按当前排序字段翻页，返回 nextCursor
+ * 筛选参数见 userFilters.parseUserFilter，排序参数见 userFilters.parseUserSort
+ * searchMode=fuzzy 时每条记录带有相关度 score，未指定 sort 时按相关度排序（仅支持 page/limit 分页）
  */
 async function getUsersList(req, res, prisma) {
     try {
-        // 获取分页参数
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 10;
-        // 获取搜索参数
-        const searchName = req.query.name ? req.query.name.trim() : null;
-        
-        // 验证参数
-        const pageNum = Math.max(1, page);
-        const limitNum = Math.max(1, Math.min(100, limit)); // 限制每页最多100条
-        const skip = (pageNum - 1) * limitNum;
+        // 获取分页参数（限制每页最多100条）
+        const paging = parsePaginationParams(req.query);
+        // 获取筛选和排序参数（默认不返回回收站中的用户，按创建时间倒序）
+        const { filter, errors: filterErrors } = parseUserFilter(req.query);
+        const { sort, errors: sortErrors } = parseUserSort(req.query.sort);
+        const errors = [...filterErrors, ...sortErrors];
 
-        // 构建查询条件
-        const where = {};
-        if (searchName) {
-            where.name = {
-                contains: searchName,
-                mode: 'insensitive' // 不区分大小写（如果数据库支持）
-            };
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+
+        // 构建查询条件（模糊搜索时先查出候选用户及相关度）
+        const { where, scores } = await resolveUserQuery(prisma, filter);
+        const rankByScore = scores !== null && !req.query.sort;
+
+        if (paging.mode === 'cursor' && rankByScore) {
+            return sendValidationError(res, [{
+                field: 'paging',
+                code: ERROR_CODES.INVALID_VALUE,
+                message: '按相关度排序时不支持游标分页，请使用 page/limit 分页或指定 sort'
+            }]);
+        }
+
+        if (paging.mode === 'cursor') {
+            const result = await findManyByCursor(
+                (args) => prisma.executeWithRetry((p) => p.user.findMany(args)),
+                { where, sort, limit: paging.limit, cursor: paging.cursor }
+            );
+
+            if (!result) {
+                return sendValidationError(res, [
+                    { field: 'cursor', code: ERROR_CODES.INVALID_VALUE, message: '无效的分页游标' }
+                ]);
+            }
+
+            return res.json({
+                data: scores ? attachScores(result.data, scores) : result.data,
+                sort: sort,
+                pagination: {
+                    mode: 'cursor',
+                    limit: paging.limit,
+                    nextCursor: result.nextCursor,
+                    hasNext: result.hasNext
+                }
+            });
+        }
+
+        if (rankByScore) {
+            return sendRankedUsers(res, prisma, where, scores, paging);
         }
 
         // 并行查询用户列表和总数
@@ -30,28 +119,28 @@ async function getUsersList(req, res, prisma) {
             prisma.executeWithRetry((p) => 
                 p.user.findMany({
                     where: where,
-                    skip: skip,
-                    take: limitNum,
-                    orderBy: {
-                        createdAt: 'desc' // 按创建时间倒序
-                    }
+                    skip: paging.skip,
+                    take: paging.limit,
+                    orderBy: toOrderBy(sort) // 末尾的 id 排序保证顺序稳定
                 })
             ),
             prisma.executeWithRetry((p) => p.user.count({ where: where }))
         ]);
 
-        const totalPages = Math.ceil(total / limitNum);
+        const totalPages = Math.ceil(total / paging.limit);
 
         // 返回分页结果
         res.json({
-            data: users,
+            data: scores ? attachScores(users, scores) : users,
+            sort: sort,
             pagination: {
-                page: pageNum,
-                limit: limitNum,
+                mode: 'offset',
+                page: paging.page,
+                limit: paging.limit,
                 total: total,
                 totalPages: totalPages,
-                hasNext: pageNum < totalPages,
-                hasPrev: pageNum > 1
+                hasNext: paging.page < totalPages,
+                hasPrev: paging.page > 1
             }
         });
     } catch (error) {
@@ -61,21 +150,66 @@ async function getUsersList(req, res, prisma) {
     }
 }
 
+/**
+ * 返回按相关度排序的模糊搜索结果（偏移分页）
+ * 候选用户数量有上限（FUZZY_MAX_RESULTS），先取出所有匹配的 ID 排序后再查询当前页
+ */
+async function sendRankedUsers(res, prisma, where, scores, paging) {
+    const matched = await prisma.executeWithRetry((p) =>
+        p.user.findMany({
+            where,
+            select: { id: true }
+        })
+    );
+    const ranked = sortByScore(matched, scores);
+    const pageIds = ranked.slice(paging.skip, paging.skip + paging.limit).map(user => user.id);
+
+    const users = await prisma.executeWithRetry((p) =>
+        p.user.findMany({
+            where: { id: { in: pageIds } }
+        })
+    );
+
+    const total = ranked.length;
+    const totalPages = Math.ceil(total / paging.limit);
+
+    res.json({
+        data: sortByScore(users, scores),
+        sort: SCORE_SORT,
+        pagination: {
+            mode: 'offset',
+            page: paging.page,
+            limit: paging.limit,
+            total: total,
+            totalPages: totalPages,
+            hasNext: paging.page < totalPages,
+            hasPrev: paging.page > 1
+        }
+    });
+}
+
 /**
  * 获取单个用户
  */
 async function getUserById(req, res, prisma, userId) {
     try {
+        const includeDeleted = parseBooleanParam(req.query && req.query.includeDeleted);
         const user = await prisma.executeWithRetry((p) => 
             p.user.findUnique({
                 where: { id: parseInt(userId) }
             })
         );
 
-        if (!user) {
+        if (!user || (user.deletedAt && !includeDeleted)) {
             return res.status(404).json({ error: '用户未找到' });
         }
 
+        // 客户端缓存的版本仍是最新时返回 304
+        const etag = setEtag(res, user);
+        if (isNotModified(req, etag)) {
+            return res.status(304).end();
+        }
+
         res.json(user);
     } catch (error) {
         const dbError = handleDatabaseError(error, res);
@@ -84,26 +218,82 @@ async function getUserById(req, res, prisma, userId) {
     }
 }
 
+/**
+ * 以读取时的 updatedAt 为条件修改用户，并在同一事务中写入审计记录
+ * 读取之后用户已被他人修改时不做任何修改，返回 null
+ */
+async function updateUserIfUnchanged(prisma, req, user, data, action) {
+    return prisma.executeWithRetry((p) =>
+        p.$transaction(async (tx) => {
+            const { count } = await tx.user.updateMany({
+                where: { id: user.id, updatedAt: user.updatedAt },
+                data
+            });
+            if (count === 0) {
+                return null;
+            }
+            const updated = await tx.user.findUnique({
+                where: { id: user.id }
+            });
+            await recordAuditEvent(tx, {
+                actor: getActor(req),
+                action,
+                entity: 'user',
+                entityId: user.id,
+                before: user,
+                after: updated,
+                source: AUDIT_SOURCES.API
+            });
+            return updated;
+        })
+    );
+}
+
+/**
+ * 修改冲突时返回 412，附带用户当前的 ETag
+ */
+async function sendUserPreconditionFailed(res, prisma, userId) {
+    const current = await prisma.executeWithRetry((p) =>
+        p.user.findUnique({
+            where: { id: userId }
+        })
+    );
+    return sendPreconditionFailed(res, current);
+}
+
 /**
  * 创建新用户
  */
 async function createUser(req, res, prisma) {
+    let name = null;
     try {
-        const { name } = req.body;
-        
         console.log('接收到的请求体:', JSON.stringify(req.body));
-        console.log('接收到的 name:', name);
-        console.log('name 的 Buffer:', Buffer.from(name || '', 'utf8'));
 
-        if (!name) {
-            return res.status(400).json({ error: '用户名不能为空' });
+        // 校验并规范化用户名（去除首尾空白、NFC 规范化、限制长度、拒绝控制字符）
+        const { value, errors } = validate(schemas.user, req.body);
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
         }
 
-        const nameUtf8 = typeof name === 'string' ? name : String(name);
+        name = value.name;
+        console.log('接收到的 name:', name);
+        console.log('name 的 Buffer:', Buffer.from(name, 'utf8'));
 
-        const newUser = await prisma.executeWithRetry((p) => 
-            p.user.create({
-                data: { name: nameUtf8 }
+        // 创建用户并写入审计记录（重名由 nameKey 唯一索引判断）
+        const newUser = await prisma.executeWithRetry((p) =>
+            p.$transaction(async (tx) => {
+                const user = await tx.user.create({
+                    data: { name, nameKey: computeNameKey(name), ...computeNamePinyin(name) }
+                });
+                await recordAuditEvent(tx, {
+                    actor: getActor(req),
+                    action: AUDIT_ACTIONS.CREATE,
+                    entity: 'user',
+                    entityId: user.id,
+                    after: user,
+                    source: AUDIT_SOURCES.API
+                });
+                return user;
             })
         );
         
@@ -111,6 +301,9 @@ async function createUser(req, res, prisma) {
 
         res.status(201).json(newUser);
     } catch (error) {
+        if (isNameConflictError(error)) {
+            return sendNameConflict(res, prisma, name);
+        }
         const dbError = handleDatabaseError(error, res);
         if (dbError) return;
         res.status(500).json({ error: '创建用户失败', details: error.message });
@@ -118,7 +311,73 @@ async function createUser(req, res, prisma) {
 }
 
 /**
- * 删除用户
+ * 更新用户
+ * PATCH 为部分更新，只修改请求体中出现的字段；PUT 为整体替换，所有字段必填
+ */
+async function updateUser(req, res, prisma, userId, { partial = true } = {}) {
+    const userIdNum = parseInt(userId);
+    let name = null;
+    try {
+        if (isNaN(userIdNum)) {
+            return res.status(400).json({ error: '无效的用户ID' });
+        }
+
+        // 校验规则与 createUser 保持一致
+        const { value: data, errors } = validate(schemas.user, req.body, { partial });
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+
+        if (Object.keys(data).length === 0) {
+            return sendValidationError(res, [
+                { field: 'body', code: ERROR_CODES.NO_FIELDS, message: '没有可更新的字段' }
+            ]);
+        }
+
+        // 先检查用户是否存在（回收站中的用户需要先恢复才能修改）
+        const user = await prisma.executeWithRetry((p) =>
+            p.user.findFirst({
+                where: { id: userIdNum, deletedAt: null }
+            })
+        );
+
+        if (!user) {
+            return res.status(404).json({ error: '用户未找到' });
+        }
+
+        // If-Match 与当前版本不一致，说明用户已被他人修改
+        if (!checkIfMatch(req, user)) {
+            return sendPreconditionFailed(res, user);
+        }
+
+        if (data.name !== undefined) {
+            name = data.name;
+            data.nameKey = computeNameKey(name);
+            Object.assign(data, computeNamePinyin(name));
+        }
+
+        const updatedUser = await updateUserIfUnchanged(prisma, req, user, data, AUDIT_ACTIONS.UPDATE);
+        if (!updatedUser) {
+            return sendUserPreconditionFailed(res, prisma, userIdNum);
+        }
+
+        console.log(`用户 ID ${userIdNum} 已更新`);
+
+        setEtag(res, updatedUser);
+        res.json(updatedUser);
+    } catch (error) {
+        if (isNameConflictError(error)) {
+            return sendNameConflict(res, prisma, name, { excludeId: userIdNum });
+        }
+        const dbError = handleDatabaseError(error, res);
+        if (dbError) return;
+        console.error('更新用户失败:', error);
+        res.status(500).json({ error: '更新用户失败', details: error.message });
+    }
+}
+
+/**
+ * 删除用户（软删除，移入回收站）
  */
 async function deleteUser(req, res, prisma, userId) {
     try {
@@ -128,10 +387,10 @@ async function deleteUser(req, res, prisma, userId) {
             return res.status(400).json({ error: '无效的用户ID' });
         }
 
-        // 先检查用户是否存在
+        // 先检查用户是否存在（已在回收站中的用户视为不存在）
         const user = await prisma.executeWithRetry((p) => 
-            p.user.findUnique({
-                where: { id: userIdNum }
+            p.user.findFirst({
+                where: { id: userIdNum, deletedAt: null }
             })
         );
 
@@ -139,18 +398,35 @@ async function deleteUser(req, res, prisma, userId) {
             return res.status(404).json({ error: '用户未找到' });
         }
 
-        // 删除用户
-        await prisma.executeWithRetry((p) => 
-            p.user.delete({
-                where: { id: userIdNum }
-            })
-        );
+        if (!checkIfMatch(req, user)) {
+            return sendPreconditionFailed(res, user);
+        }
+
+        // block 策略下有信息视图的用户不能删除
+        const policy = getInfoViewAuthorDeletePolicy();
+        if (policy === INFO_VIEW_AUTHOR_DELETE_POLICIES.BLOCK) {
+            const infoViewCount = await prisma.executeWithRetry((p) => countAuthoredInfoViews(p, userIdNum));
+            if (infoViewCount > 0) {
+                return res.status(409).json({
+                    error: '用户有关联的信息视图，无法删除',
+                    policy,
+                    infoViewCount
+                });
+            }
+        }
+
+        // 标记删除时间，移入回收站
+        const deletedUser = await updateUserIfUnchanged(prisma, req, user, { deletedAt: new Date() }, AUDIT_ACTIONS.DELETE);
+        if (!deletedUser) {
+            return sendUserPreconditionFailed(res, prisma, userIdNum);
+        }
 
-        console.log(`用户 ID ${userIdNum} 已删除`);
+        console.log(`用户 ID ${userIdNum} 已移入回收站`);
 
+        setEtag(res, deletedUser);
         res.status(200).json({ 
-            message: '用户删除成功',
-            deletedUser: user
+            message: '用户已移入回收站',
+            deletedUser
         });
     } catch (error) {
         const dbError = handleDatabaseError(error, res);
@@ -160,10 +436,307 @@ async function deleteUser(req, res, prisma, userId) {
     }
 }
 
+/**
+ * 批量删除用户（软删除，移入回收站）
+ * 请求体二选一：ids 为用户ID数组，name 为与列表接口相同的名称搜索条件
+ * dryRun 为 true（或 'true'、'1'、1）时只返回将被删除的数量，不做任何修改，不是布尔值时返回 422
+ * 信息视图删除策略为 block 时跳过有信息视图的用户，数量在 blockedCount 中返回
+ */
+async function bulkDeleteUsers(req, res, prisma) {
+    try {
+        const { ids, name } = req.body || {};
+        const flagErrors = [];
+        const dryRun = parseBooleanBodyParam(req.body && req.body.dryRun, 'dryRun', flagErrors);
+        if (flagErrors.length > 0) {
+            return sendValidationError(res, flagErrors);
+        }
+        const hasIds = ids !== undefined && ids !== null;
+        const searchName = typeof name === 'string' ? name.trim() : name;
+        const hasName = searchName !== undefined && searchName !== null && searchName !== '';
+
+        if (hasIds === hasName) {
+            return sendValidationError(res, [
+                { field: 'body', code: ERROR_CODES.INVALID_VALUE, message: '请提供 ids 或 name 其中之一作为删除条件' }
+            ]);
+        }
+
+        let where;
+        if (hasIds) {
+            if (!Array.isArray(ids) || ids.length === 0) {
+                return sendValidationError(res, [
+                    { field: 'ids', code: ERROR_CODES.INVALID_TYPE, message: 'ids 必须是非空数组' }
+                ]);
+            }
+            if (ids.length > BULK_DELETE_MAX_IDS) {
+                return sendValidationError(res, [
+                    { field: 'ids', code: ERROR_CODES.TOO_LONG, message: `ids 最多包含 ${BULK_DELETE_MAX_IDS} 个用户ID` }
+                ]);
+            }
+            const idNums = ids.map(id => Number(id));
+            if (idNums.some(id => !Number.isInteger(id) || id <= 0)) {
+                return sendValidationError(res, [
+                    { field: 'ids', code: ERROR_CODES.INVALID_VALUE, message: 'ids 中包含无效的用户ID' }
+                ]);
+            }
+            where = { id: { in: idNums }, deletedAt: null };
+        } else {
+            if (typeof searchName !== 'string') {
+                return sendValidationError(res, [
+                    { field: 'name', code: ERROR_CODES.INVALID_TYPE, message: 'name 必须是字符串' }
+                ]);
+            }
+            where = buildUserWhere({ name: searchName });
+        }
+
+        if (dryRun) {
+            // 只统计数量，不加载用户
+            const [matchedCount, blockedCount] = await prisma.executeWithRetry((p) =>
+                p.$transaction(async (tx) => [
+                    await tx.user.count({ where }),
+                    await countBlockedUsers(tx, where)
+                ])
+            );
+            return res.json({
+                message: `预计删除 ${matchedCount - blockedCount} 个用户`,
+                dryRun: true,
+                matchedCount,
+                deletedCount: 0,
+                blockedCount
+            });
+        }
+
+        // 统计、删除和写入审计记录放在同一事务中（事务内分批处理），保证返回的数量与实际删除的一致
+        const actor = getActor(req);
+        const deleteBatch = async (tx, matched) => {
+            const { allowed: users, blocked } = await splitUsersByInfoViews(tx, matched);
+            const deletedAt = new Date();
+            const { count } = await tx.user.updateMany({
+                where: { id: { in: users.map(user => user.id) }, deletedAt: null },
+                data: { deletedAt }
+            });
+            await recordAuditEvents(tx, users.map(user => ({
+                actor,
+                action: AUDIT_ACTIONS.DELETE,
+                entity: 'user',
+                entityId: user.id,
+                before: user,
+                after: { ...user, deletedAt },
+                source: AUDIT_SOURCES.BULK
+            })));
+            return { matchedCount: matched.length, deletedCount: count, blockedCount: blocked.length };
+        };
+        const counts = await prisma.executeWithRetry((p) =>
+            p.$transaction((tx) => processUsersInBatches(tx, where, deleteBatch), { timeout: BULK_TRANSACTION_TIMEOUT })
+        );
+        const result = { matchedCount: 0, deletedCount: 0, blockedCount: 0, ...counts };
+
+        console.log(`批量删除完成，${result.deletedCount} 个用户已移入回收站`);
+
+        res.json({
+            message: `已将 ${result.deletedCount} 个用户移入回收站`,
+            dryRun: false,
+            matchedCount: result.matchedCount,
+            deletedCount: result.deletedCount,
+            blockedCount: result.blockedCount
+        });
+    } catch (error) {
+        const dbError = handleDatabaseError(error, res);
+        if (dbError) return;
+        console.error('批量删除用户失败:', error);
+        res.status(500).json({ error: '批量删除用户失败', details: error.message });
+    }
+}
+
+/**
+ * 获取回收站中的用户列表（支持分页，按删除时间倒序）
+ */
+async function getTrashList(req, res, prisma) {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+        const searchName = req.query.name ? req.query.name.trim() : null;
+
+        const pageNum = Math.max(1, page);
+        const limitNum = Math.max(1, Math.min(100, limit));
+        const skip = (pageNum - 1) * limitNum;
+
+        const where = { deletedAt: { not: null } };
+        if (searchName) {
+            where.name = {
+                contains: searchName,
+                mode: 'insensitive'
+            };
+        }
+
+        const [users, total] = await Promise.all([
+            prisma.executeWithRetry((p) =>
+                p.user.findMany({
+                    where,
+                    skip,
+                    take: limitNum,
+                    orderBy: {
+                        deletedAt: 'desc'
+                    }
+                })
+            ),
+            prisma.executeWithRetry((p) => p.user.count({ where }))
+        ]);
+
+        const retentionDays = getUserTrashRetentionDays();
+        const retentionMs = retentionDays * 24 * 60 * 60 * 1000;
+        const totalPages = Math.ceil(total / limitNum);
+
+        res.json({
+            data: users.map(user => ({
+                ...user,
+                // 超过保留期后可被清理接口永久删除
+                purgeAfter: new Date(user.deletedAt.getTime() + retentionMs)
+            })),
+            retentionDays,
+            pagination: {
+                page: pageNum,
+                limit: limitNum,
+                total,
+                totalPages,
+                hasNext: pageNum < totalPages,
+                hasPrev: pageNum > 1
+            }
+        });
+    } catch (error) {
+        const dbError = handleDatabaseError(error, res);
+        if (dbError) return;
+        res.status(500).json({ error: '获取回收站列表失败', details: error.message });
+    }
+}
+
+/**
+ * 从回收站恢复用户
+ */
+async function restoreUser(req, res, prisma, userId) {
+    const userIdNum = parseInt(userId);
+    let name = null;
+    try {
+        if (isNaN(userIdNum)) {
+            return res.status(400).json({ error: '无效的用户ID' });
+        }
+
+        const user = await prisma.executeWithRetry((p) =>
+            p.user.findUnique({
+                where: { id: userIdNum }
+            })
+        );
+
+        if (!user) {
+            return res.status(404).json({ error: '用户未找到' });
+        }
+
+        if (!user.deletedAt) {
+            return res.status(400).json({ error: '用户不在回收站中' });
+        }
+
+        if (!checkIfMatch(req, user)) {
+            return sendPreconditionFailed(res, user);
+        }
+
+        // 恢复时按当前策略重新计算 nameKey，与未删除用户重名时返回 409
+        name = user.name;
+        const restoredUser = await updateUserIfUnchanged(
+            prisma, req, user, { deletedAt: null, nameKey: computeNameKey(name) }, AUDIT_ACTIONS.RESTORE
+        );
+        if (!restoredUser) {
+            return sendUserPreconditionFailed(res, prisma, userIdNum);
+        }
+
+        console.log(`用户 ID ${userIdNum} 已从回收站恢复`);
+
+        setEtag(res, restoredUser);
+        res.json({
+            message: '用户恢复成功',
+            restoredUser
+        });
+    } catch (error) {
+        if (isNameConflictError(error)) {
+            return sendNameConflict(res, prisma, name, { excludeId: userIdNum });
+        }
+        const dbError = handleDatabaseError(error, res);
+        if (dbError) return;
+        console.error('恢复用户失败:', error);
+        res.status(500).json({ error: '恢复用户失败', details: error.message });
+    }
+}
+
+/**
+ * 永久清理回收站中超过保留期的用户
+ * 保留天数默认取 USER_TRASH_RETENTION_DAYS，可通过请求体或查询参数 retentionDays 覆盖
+ * 用户的信息视图按 INFO_VIEW_AUTHOR_DELETE_POLICY 处理（见 infoViewAuthorPolicy）
+ */
+async function purgeTrash(req, res, prisma) {
+    try {
+        const rawDays = (req.body && req.body.retentionDays !== undefined)
+            ? req.body.retentionDays
+            : req.query.retentionDays;
+        const retentionDays = rawDays === undefined || rawDays === ''
+            ? getUserTrashRetentionDays()
+            : Number(rawDays);
+
+        if (!Number.isInteger(retentionDays) || retentionDays < 0) {
+            return sendValidationError(res, [
+                { field: 'retentionDays', code: ERROR_CODES.OUT_OF_RANGE, message: 'retentionDays 必须是非负整数' }
+            ]);
+        }
+
+        const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+
+        // 在同一事务中分批永久删除并为每个用户写入审计记录（保留删除前的数据）
+        const actor = getActor(req);
+        const purgeBatch = async (tx, expired) => {
+            const { allowed: users, blocked } = await splitUsersByInfoViews(tx, expired);
+            const deletedInfoViewCount = await removeAuthoredInfoViews(tx, users.map(user => user.id));
+            const deleted = await tx.user.deleteMany({
+                where: { id: { in: users.map(user => user.id) } }
+            });
+            await recordAuditEvents(tx, users.map(user => ({
+                actor,
+                action: AUDIT_ACTIONS.PURGE,
+                entity: 'user',
+                entityId: user.id,
+                before: user,
+                source: AUDIT_SOURCES.API
+            })));
+            return { count: deleted.count, blockedCount: blocked.length, deletedInfoViewCount };
+        };
+        const counts = await prisma.executeWithRetry((p) =>
+            p.$transaction((tx) => processUsersInBatches(tx, { deletedAt: { lte: cutoff } }, purgeBatch), { timeout: BULK_TRANSACTION_TIMEOUT })
+        );
+        const result = { count: 0, blockedCount: 0, deletedInfoViewCount: 0, ...counts };
+
+        console.log(`回收站清理完成，永久删除 ${result.count} 个用户（删除时间早于 ${cutoff.toISOString()}）`);
+
+        res.json({
+            message: '回收站清理完成',
+            purgedCount: result.count,
+            blockedCount: result.blockedCount,
+            deletedInfoViewCount: result.deletedInfoViewCount,
+            retentionDays,
+            cutoff
+        });
+    } catch (error) {
+        const dbError = handleDatabaseError(error, res);
+        if (dbError) return;
+        console.error('清理回收站失败:', error);
+        res.status(500).json({ error: '清理回收站失败', details: error.message });
+    }
+}
+
 module.exports = {
     getUsersList,
     getUserById,
     createUser,
-    deleteUser
+    updateUser,
+    deleteUser,
+    bulkDeleteUsers,
+    getTrashList,
+    restoreUser,
+    purgeTrash
 };
 
@@ -0,0 +1,81 @@
+/**
+ * 用户名重复策略
+ * 按策略为每个用户计算 nameKey，数据库中对未删除用户的 nameKey 建有唯一索引，
+ * 重名判断以数据库约束为准，并发创建同名用户时也只有一个能成功
+ */
+
+const { getUserNameDuplicatePolicy } = require('./envConfig');
+
+// 重复策略
+const DUPLICATE_NAME_POLICIES = {
+    ALLOW: 'allow',
+    REJECT: 'reject',
+    REJECT_CI: 'reject_ci',
+    NORMALIZED: 'normalized'
+};
+
+/**
+ * 按策略计算用户名的唯一键
+ * allow 策略下返回 null（不参与唯一约束）
+ */
+function computeNameKey(name, policy = getUserNameDuplicatePolicy()) {
+    switch (policy) {
+        case DUPLICATE_NAME_POLICIES.REJECT:
+            return name;
+        case DUPLICATE_NAME_POLICIES.REJECT_CI:
+            return name.toLowerCase();
+        case DUPLICATE_NAME_POLICIES.NORMALIZED:
+            // 兼容字符（全角字母、数字等）折叠为标准形式，忽略大小写，合并连续空白
+            return name.normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim();
+        default:
+            return null;
+    }
+}
+
+/**
+ * 查找与给定用户名冲突的未删除用户
+ * @param {Object} client - Prisma 客户端或事务客户端
+ * @param {string} name - 用户名
+ * @param {Object} options - { excludeId: 排除的用户ID（修改用户时排除自身） }
+ * @returns {Promise<Object|null>}
+ */
+async function findDuplicateUser(client, name, { excludeId = null } = {}) {
+    const nameKey = computeNameKey(name);
+    if (nameKey === null) {
+        return null;
+    }
+    return client.user.findFirst({
+        where: {
+            nameKey,
+            deletedAt: null,
+            ...(excludeId ? { id: { not: excludeId } } : {})
+        }
+    });
+}
+
+/**
+ * 判断是否为用户名唯一约束冲突（User 表上只有 nameKey 一个唯一约束）
+ */
+function isNameConflictError(error) {
+    return !!error && error.code === 'P2002';
+}
+
+/**
+ * 发送 409 响应，附带已存在的同名用户
+ */
+async function sendNameConflict(res, prisma, name, { excludeId = null } = {}) {
+    const existing = await prisma.executeWithRetry((p) => findDuplicateUser(p, name, { excludeId }));
+    return res.status(409).json({
+        error: '用户名已存在',
+        policy: getUserNameDuplicatePolicy(),
+        existingUser: existing ? { id: existing.id, name: existing.name } : null
+    });
+}
+
+module.exports = {
+    DUPLICATE_NAME_POLICIES,
+    computeNameKey,
+    findDuplicateUser,
+    isNameConflictError,
+    sendNameConflict
+};
@@ -0,0 +1,151 @@
+/**
+ * 用户模糊搜索
+ * searchMode=fuzzy 时按 name 搜索词同时匹配：
+ * - 用户名的三元组相似度（pg_trgm，容忍错别字）
+ * - 拼音全拼（"zhangsan" 匹配 "张三"）和首字母（"zs" 匹配 "张三"）
+ * 每个结果带有 0~1 的相关度 score，默认按相关度排序
+ *
+ * 拼音在写入用户时计算并保存在 namePinyin / nameInitials 字段中（见 computeNamePinyin），
+ * 数据库需先执行 prisma/migrations/add_user_name_pinyin.sql
+ */
+
+const { Prisma } = require('@prisma/client');
+const { pinyin } = require('pinyin-pro');
+const { buildUserWhere } = require('./userFilters');
+
+// 模糊搜索最多返回的候选数量（按相关度取前 N 个）
+const FUZZY_MAX_RESULTS = 1000;
+
+// 模糊搜索按相关度排序时使用的排序规则（用于响应中的 sort 字段）
+const SCORE_SORT = [
+    { field: 'score', direction: 'desc' },
+    { field: 'id', direction: 'desc' }
+];
+
+/**
+ * 把文本转换为拼音音节数组（非汉字部分原样保留）
+ */
+function toSyllables(text) {
+    return pinyin(text.normalize('NFKC'), {
+        toneType: 'none',
+        type: 'array',
+        nonZh: 'consecutive',
+        surname: 'head', // 按姓氏读音处理首字，例如"单"读 shan
+        v: true          // ü 用 v 表示，例如"吕"为 lv
+    });
+}
+
+/**
+ * 计算用户名的拼音全拼和首字母（小写，只保留字母和数字）
+ * 例如 "张三" -> { namePinyin: 'zhangsan', nameInitials: 'zs' }
+ */
+function computeNamePinyin(name) {
+    const words = toSyllables(name)
+        .flatMap(item => item.toLowerCase().split(/[^a-z0-9]+/))
+        .filter(Boolean);
+    return {
+        namePinyin: words.join(''),
+        nameInitials: words.map(word => word[0]).join('')
+    };
+}
+
+/**
+ * 把搜索词转换为拼音形式，用于与 namePinyin / nameInitials 比较
+ * "张三"、"zhang san"、"ZhangSan" 都转换为 "zhangsan"
+ */
+function toSearchPinyin(query) {
+    return computeNamePinyin(query).namePinyin;
+}
+
+/**
+ * 转义 LIKE 模式中的通配符
+ */
+function escapeLike(value) {
+    return value.replace(/[\\%_]/g, (char) => `\\${char}`);
+}
+
+/**
+ * 查询模糊搜索的候选用户及相关度
+ * 相关度取以下各项的最大值：
+ * - 用户名完全相同 1；用户名包含搜索词 0.9
+ * - 全拼或首字母完全相同 0.85；全拼前缀 0.8；首字母前缀 0.7
+ * - 用户名、全拼的三元组相似度
+ * @returns {Promise<Array<{id: number, score: number}>>} 按相关度倒序
+ */
+async function findFuzzyCandidates(prisma, query, { includeDeleted = false } = {}) {
+    const q = query.normalize('NFKC');
+    const qp = toSearchPinyin(q);
+    const contains = `%${escapeLike(q)}%`;
+    const pinyinPrefix = `${qp}%`;
+    const hasPinyin = qp !== '';
+
+    const rows = await prisma.executeWithRetry((p) => p.$queryRaw`
+        SELECT "id", GREATEST(
+            CASE WHEN "name" = ${q} THEN 1 ELSE 0 END,
+            CASE WHEN "name" ILIKE ${contains} THEN 0.9 ELSE 0 END,
+            CASE WHEN ${hasPinyin} AND ("namePinyin" = ${qp} OR "nameInitials" = ${qp}) THEN 0.85 ELSE 0 END,
+            CASE WHEN ${hasPinyin} AND "namePinyin" LIKE ${pinyinPrefix} THEN 0.8 ELSE 0 END,
+            CASE WHEN ${hasPinyin} AND "nameInitials" LIKE ${pinyinPrefix} THEN 0.7 ELSE 0 END,
+            similarity("name", ${q}),
+            CASE WHEN ${hasPinyin} THEN similarity("namePinyin", ${qp}) ELSE 0 END
+        )::float8 AS "score"
+        FROM "User"
+        WHERE ${includeDeleted ? Prisma.sql`TRUE` : Prisma.sql`"deletedAt" IS NULL`}
+          AND (
+            "name" % ${q}
+            OR "name" ILIKE ${contains}
+            OR (${hasPinyin} AND ("namePinyin" % ${qp} OR "namePinyin" LIKE ${pinyinPrefix} OR "nameInitials" LIKE ${pinyinPrefix}))
+          )
+        ORDER BY "score" DESC, "id" DESC
+        LIMIT ${FUZZY_MAX_RESULTS}
+    `);
+
+    return rows.map(row => ({ id: row.id, score: Math.round(Number(row.score) * 1000) / 1000 }));
+}
+
+/**
+ * 根据筛选条件构建用户查询
+ * 非模糊搜索时与 buildUserWhere 相同；模糊搜索时先查出候选用户，再与其它筛选条件组合
+ * @returns {Promise<{ where: Object, scores: Map<number, number>|null }>} scores 为 用户ID -> 相关度
+ */
+async function resolveUserQuery(prisma, filter = {}) {
+    if (filter.searchMode !== 'fuzzy' || !filter.name) {
+        return { where: buildUserWhere(filter), scores: null };
+    }
+
+    const candidates = await findFuzzyCandidates(prisma, filter.name, { includeDeleted: !!filter.includeDeleted });
+    const scores = new Map(candidates.map(({ id, score }) => [id, score]));
+
+    // 名称条件由模糊搜索代替，其它筛选条件照常生效
+    const { name, ...rest } = filter;
+    const where = buildUserWhere(rest);
+    const ids = [...scores.keys()];
+    where.AND = [...(where.AND || []), { id: { in: ids } }];
+
+    return { where, scores };
+}
+
+/**
+ * 为每个用户附加相关度 score
+ */
+function attachScores(users, scores) {
+    return users.map(user => ({ ...user, score: scores.get(user.id) }));
+}
+
+/**
+ * 附加相关度并按相关度排序（相关度相同时按 id 倒序）
+ */
+function sortByScore(users, scores) {
+    return attachScores(users, scores).sort((a, b) => (b.score - a.score) || (b.id - a.id));
+}
+
+module.exports = {
+    FUZZY_MAX_RESULTS,
+    SCORE_SORT,
+    computeNamePinyin,
+    toSearchPinyin,
+    findFuzzyCandidates,
+    resolveUserQuery,
+    attachScores,
+    sortByScore
+};
@@ -0,0 +1,222 @@
+/**
+ * 请求参数校验
+ * 基于字段规则（schema）校验并规范化请求数据，Express 路由和 api/* 下的 Vercel 函数共用
+ * 校验失败时统一返回 422，响应中列出每个失败字段及其错误码：
+ *   { error: '请求参数校验失败', errors: [{ field, code, message }] }
+ */
+
+// 错误码
+const ERROR_CODES = {
+    REQUIRED: 'required',               // 必填字段缺失或为空
+    INVALID_TYPE: 'invalid_type',       // 类型不正确
+    TOO_LONG: 'too_long',               // 超过最大长度
+    TOO_SHORT: 'too_short',             // 小于最小长度
+    CONTROL_CHARS: 'control_chars',     // 包含控制字符
+    OUT_OF_RANGE: 'out_of_range',       // 数值超出范围
+    INVALID_VALUE: 'invalid_value',     // 取值不在允许范围内或格式不正确
+    NO_FIELDS: 'no_fields'              // 没有可更新的字段
+};
+
+// 用户名最大长度（按 Unicode 字符计）
+const USER_NAME_MAX_LENGTH = 100;
+
+// 信息视图内容最大长度（按 Unicode 字符计）
+const INFO_VIEW_CONTENT_MAX_LENGTH = 10000;
+
+// 定时导出名称最大长度（按 Unicode 字符计）
+const EXPORT_SCHEDULE_NAME_MAX_LENGTH = 100;
+
+// C0/C1 控制字符（含 DEL）
+const CONTROL_CHARS_PATTERN = /[\u0000-\u001F\u007F-\u009F]/;
+// 允许换行和制表符时使用
+const CONTROL_CHARS_EXCEPT_WHITESPACE_PATTERN = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F]/;
+
+/**
+ * 字段规则定义
+ * string 类型支持：required、trim、normalize（Unicode 规范化形式）、minLength、maxLength、
+ *                 allowControlChars、allowNewlines
+ * integer 类型支持：required、min、max
+ */
+const schemas = {
+    user: {
+        name: {
+            type: 'string',
+            label: '用户名',
+            required: true,
+            trim: true,
+            normalize: 'NFC',
+            maxLength: USER_NAME_MAX_LENGTH
+        }
+    },
+    infoView: {
+        content: {
+            type: 'string',
+            label: '内容',
+            required: true,
+            trim: true,
+            normalize: 'NFC',
+            maxLength: INFO_VIEW_CONTENT_MAX_LENGTH,
+            allowNewlines: true
+        },
+        authorId: {
+            type: 'integer',
+            label: '作者ID',
+            min: 1
+        }
+    },
+    exportSchedule: {
+        name: {
+            type: 'string',
+            label: '名称',
+            required: true,
+            trim: true,
+            normalize: 'NFC',
+            maxLength: EXPORT_SCHEDULE_NAME_MAX_LENGTH
+        },
+        cron: {
+            type: 'string',
+            label: 'cron 表达式',
+            required: true,
+            trim: true,
+            maxLength: 100
+        }
+    }
+};
+
+/**
+ * 校验单个字符串字段
+ */
+function validateString(field, rule, value, errors) {
+    const label = rule.label || field;
+    if (typeof value !== 'string') {
+        errors.push({ field, code: ERROR_CODES.INVALID_TYPE, message: `${label}必须是字符串` });
+        return undefined;
+    }
+
+    let result = rule.normalize ? value.normalize(rule.normalize) : value;
+    if (rule.trim) {
+        result = result.trim();
+    }
+
+    if (result === '') {
+        if (rule.required) {
+            errors.push({ field, code: ERROR_CODES.REQUIRED, message: `${label}不能为空` });
+        }
+        return rule.required ? undefined : null;
+    }
+
+    if (!rule.allowControlChars) {
+        const pattern = rule.allowNewlines ? CONTROL_CHARS_EXCEPT_WHITESPACE_PATTERN : CONTROL_CHARS_PATTERN;
+        if (pattern.test(result)) {
+            errors.push({ field, code: ERROR_CODES.CONTROL_CHARS, message: `${label}不能包含控制字符` });
+            return undefined;
+        }
+    }
+
+    // 按 Unicode 码点计算长度，避免把一个汉字或表情算作多个字符
+    const length = [...result].length;
+    if (rule.maxLength !== undefined && length > rule.maxLength) {
+        errors.push({ field, code: ERROR_CODES.TOO_LONG, message: `${label}不能超过 ${rule.maxLength} 个字符` });
+        return undefined;
+    }
+    if (rule.minLength !== undefined && length < rule.minLength) {
+        errors.push({ field, code: ERROR_CODES.TOO_SHORT, message: `${label}至少需要 ${rule.minLength} 个字符` });
+        return undefined;
+    }
+
+    return result;
+}
+
+/**
+ * 校验单个整数字段（接受数字或数字字符串）
+ */
+function validateInteger(field, rule, value, errors) {
+    const label = rule.label || field;
+    const num = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof num !== 'number' || !Number.isInteger(num)) {
+        errors.push({ field, code: ERROR_CODES.INVALID_TYPE, message: `${label}必须是整数` });
+        return undefined;
+    }
+    if ((rule.min !== undefined && num < rule.min) || (rule.max !== undefined && num > rule.max)) {
+        errors.push({ field, code: ERROR_CODES.OUT_OF_RANGE, message: `${label}超出允许范围` });
+        return undefined;
+    }
+    return num;
+}
+
+/**
+ * 按 schema 校验输入数据
+ * 未在 schema 中定义的字段会被忽略
+ * @param {Object} schema - 字段规则
+ * @param {Object} input - 待校验数据（通常是 req.body）
+ * @param {Object} options - { partial: 部分更新时只校验出现的字段 }
+ * @returns {{ value: Object, errors: Array<{field: string, code: string, message: string}> }}
+ */
+function validate(schema, input, { partial = false } = {}) {
+    const errors = [];
+    const value = {};
+
+    if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+        errors.push({ field: 'body', code: ERROR_CODES.INVALID_TYPE, message: '请求体必须是 JSON 对象' });
+        return { value, errors };
+    }
+
+    for (const [field, rule] of Object.entries(schema)) {
+        const raw = input[field];
+
+        if (raw === undefined || raw === null) {
+            // 部分更新时未出现的字段保持不变
+            if (raw === undefined && partial) {
+                continue;
+            }
+            if (rule.required) {
+                errors.push({ field, code: ERROR_CODES.REQUIRED, message: `${rule.label || field}不能为空` });
+            } else if (raw === null) {
+                value[field] = null;
+            }
+            continue;
+        }
+
+        let result;
+        switch (rule.type) {
+            case 'string':
+                result = validateString(field, rule, raw, errors);
+                break;
+            case 'integer':
+                result = validateInteger(field, rule, raw, errors);
+                break;
+            default:
+                throw new Error(`未知的字段类型: ${rule.type}`);
+        }
+
+        if (result !== undefined) {
+            value[field] = result;
+        }
+    }
+
+    return { value, errors };
+}
+
+/**
+ * 发送 422 校验失败响应
+ * errors 中缺少 code 的项按 invalid_value 处理
+ */
+function sendValidationError(res, errors) {
+    return res.status(422).json({
+        error: '请求参数校验失败',
+        errors: errors.map(({ field, code, message }) => ({
+            field,
+            code: code || ERROR_CODES.INVALID_VALUE,
+            message
+        }))
+    });
+}
+
+module.exports = {
+    ERROR_CODES,
+    USER_NAME_MAX_LENGTH,
+    INFO_VIEW_CONTENT_MAX_LENGTH,
+    schemas,
+    validate,
+    sendValidationError
+};
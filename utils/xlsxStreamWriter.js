@@ -0,0 +1,261 @@
+/**
+ * 流式写入 Excel（xlsx）文件
+ * xlsx 是包含若干 XML 文件的 ZIP 压缩包，这里逐行生成工作表 XML 并压缩写入磁盘，
+ * 字符串使用内联字符串（inlineStr）而不是共享字符串表，内存占用与行数无关
+ * Date 值写为带日期数字格式的日期单元格（按 Date 的 UTC 年月日时分秒，Excel 的日期没有时区）
+ * 行数达到 Excel 工作表的上限（1048576 行）时自动开始下一个工作表，每个工作表重复写入表头行；
+ * 工作表数量在写完后才知道，因此 [Content_Types].xml 和 workbook.xml 在关闭时写入
+ */
+
+const { ZipWriter } = require('./zipWriter');
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const SPREADSHEET_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const RELATIONSHIP_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_RELATIONSHIP_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+// Excel 工作表名称最长 31 个字符
+const MAX_SHEET_NAME_LENGTH = 31;
+
+// Excel 工作表的最大行数（包括表头行）
+const MAX_SHEET_ROWS = 1048576;
+
+/**
+ * 生成 [Content_Types].xml，每个工作表一项
+ */
+function contentTypesXml(sheetCount) {
+    let sheets = '';
+    for (let i = 1; i <= sheetCount; i++) {
+        sheets += `<Override PartName="/xl/worksheets/sheet${i}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`;
+    }
+    return XML_HEADER +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        sheets +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        '</Types>';
+}
+
+const ROOT_RELS = XML_HEADER +
+    `<Relationships xmlns="${PACKAGE_RELATIONSHIP_NS}">` +
+    `<Relationship Id="rId1" Type="${RELATIONSHIP_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+    '</Relationships>';
+
+/**
+ * 生成工作簿的关系文件：rId1 为样式表，rId2 起为各工作表
+ */
+function workbookRelsXml(sheetCount) {
+    let sheets = '';
+    for (let i = 1; i <= sheetCount; i++) {
+        sheets += `<Relationship Id="rId${i + 1}" Type="${RELATIONSHIP_NS}/worksheet" Target="worksheets/sheet${i}.xml"/>`;
+    }
+    return XML_HEADER +
+        `<Relationships xmlns="${PACKAGE_RELATIONSHIP_NS}">` +
+        `<Relationship Id="rId1" Type="${RELATIONSHIP_NS}/styles" Target="styles.xml"/>` +
+        sheets +
+        '</Relationships>';
+}
+
+/**
+ * 第 index 个工作表（从 1 开始）的名称：第 1 个为 sheetName，之后为 "sheetName (2)"、"sheetName (3)" 等
+ */
+function sheetNameAt(sheetName, index) {
+    if (index === 1) {
+        return sheetName.slice(0, MAX_SHEET_NAME_LENGTH);
+    }
+    const suffix = ` (${index})`;
+    return sheetName.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length) + suffix;
+}
+
+// 日期单元格默认的数字格式
+const DEFAULT_DATE_NUMBER_FORMAT = 'yyyy-mm-dd hh:mm:ss';
+
+// 自定义数字格式的 ID 从 164 开始（0-163 为内置格式）
+const DATE_NUMBER_FORMAT_ID = 164;
+
+// 日期单元格使用的样式（cellXfs 中的序号）
+const DATE_STYLE_INDEX = 1;
+
+// Excel 日期序列号的起点（1899-12-30，序列号为天数）
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 生成样式表：样式 0 为默认样式，样式 1 为日期格式
+ */
+function stylesXml(dateNumberFormat) {
+    return XML_HEADER +
+        `<styleSheet xmlns="${SPREADSHEET_NS}">` +
+        `<numFmts count="1"><numFmt numFmtId="${DATE_NUMBER_FORMAT_ID}" formatCode="${escapeXml(dateNumberFormat)}"/></numFmts>` +
+        '<fonts count="1"><font><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+        `<xf numFmtId="${DATE_NUMBER_FORMAT_ID}" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs>` +
+        '</styleSheet>';
+}
+
+/**
+ * 转义 XML 文本，并去掉 XML 中不允许出现的控制字符
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * 列序号（从 0 开始）转换为列名：0 -> A，26 -> AA
+ */
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+/**
+ * Date 转换为 Excel 日期序列号（按 UTC 年月日时分秒）
+ */
+function toExcelSerial(date) {
+    return (date.getTime() - EXCEL_EPOCH) / DAY_MS;
+}
+
+/**
+ * 生成单元格 XML：数字写为数值单元格，Date 写为日期单元格，其它值写为内联字符串，空值不生成单元格
+ */
+function cellXml(ref, value) {
+    if (value === null || value === undefined || value === '') {
+        return '';
+    }
+    if (value instanceof Date && !isNaN(value.getTime())) {
+        return `<c r="${ref}" s="${DATE_STYLE_INDEX}"><v>${toExcelSerial(value)}</v></c>`;
+    }
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<c r="${ref}"><v>${value}</v></c>`;
+    }
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+class XlsxStreamWriter {
+    /**
+     * @param {string} filePath - 文件路径
+     * @param {Object} options - { sheetName: 工作表名称, columnWidths: 各列宽度（字符数），
+     *   dateNumberFormat: 日期单元格的数字格式，默认 yyyy-mm-dd hh:mm:ss，
+     *   headerRow: 表头行（每个工作表的第一行），maxRowsPerSheet: 每个工作表的最大行数（包括表头行），默认为 Excel 的上限 }
+     */
+    constructor(filePath, {
+        sheetName = 'Sheet1',
+        columnWidths = [],
+        dateNumberFormat = DEFAULT_DATE_NUMBER_FORMAT,
+        headerRow = null,
+        maxRowsPerSheet = MAX_SHEET_ROWS
+    } = {}) {
+        this.zip = new ZipWriter(filePath);
+        this.sheetName = sheetName;
+        this.columnWidths = columnWidths;
+        this.dateNumberFormat = dateNumberFormat;
+        this.headerRow = headerRow;
+        this.maxRowsPerSheet = Math.min(maxRowsPerSheet, MAX_SHEET_ROWS);
+        this.sheet = null;
+        this.sheetCount = 0;
+        this.rowCount = 0;
+    }
+
+    /**
+     * 写入样式表，并开始写入第一个工作表
+     */
+    async open() {
+        await this.zip.addEntry('_rels/.rels', ROOT_RELS);
+        await this.zip.addEntry('xl/styles.xml', stylesXml(this.dateNumberFormat));
+        await this.openSheet();
+    }
+
+    /**
+     * 开始写入下一个工作表，有表头行时先写入表头
+     */
+    async openSheet() {
+        this.sheetCount++;
+        this.rowCount = 0;
+        this.sheet = await this.zip.openEntry(`xl/worksheets/sheet${this.sheetCount}.xml`);
+        const cols = this.columnWidths.length > 0
+            ? '<cols>' + this.columnWidths
+                .map((width, index) => `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`)
+                .join('') + '</cols>'
+            : '';
+        await this.sheet.write(XML_HEADER + `<worksheet xmlns="${SPREADSHEET_NS}">` + cols + '<sheetData>');
+        if (this.headerRow) {
+            await this.writeRows([this.headerRow]);
+        }
+    }
+
+    /**
+     * 结束当前工作表
+     */
+    async closeSheet() {
+        await this.sheet.write('</sheetData></worksheet>');
+        await this.sheet.end();
+        this.sheet = null;
+    }
+
+    /**
+     * 追加若干行，每行为单元格值的数组；当前工作表写满时开始下一个工作表
+     */
+    async writeRows(rows) {
+        let xml = '';
+        for (const values of rows) {
+            if (this.rowCount >= this.maxRowsPerSheet) {
+                if (xml) {
+                    await this.sheet.write(xml);
+                    xml = '';
+                }
+                await this.closeSheet();
+                await this.openSheet();
+            }
+            this.rowCount++;
+            const cells = values.map((value, index) => cellXml(`${columnName(index)}${this.rowCount}`, value)).join('');
+            xml += `<row r="${this.rowCount}">${cells}</row>`;
+        }
+        if (xml) {
+            await this.sheet.write(xml);
+        }
+    }
+
+    /**
+     * 结束工作表，写入工作簿和内容类型，关闭文件
+     */
+    async close() {
+        await this.closeSheet();
+
+        let sheets = '';
+        for (let i = 1; i <= this.sheetCount; i++) {
+            sheets += `<sheet name="${escapeXml(sheetNameAt(this.sheetName, i))}" sheetId="${i}" r:id="rId${i + 1}"/>`;
+        }
+        await this.zip.addEntry('xl/workbook.xml', XML_HEADER +
+            `<workbook xmlns="${SPREADSHEET_NS}" xmlns:r="${RELATIONSHIP_NS}">` +
+            `<sheets>${sheets}</sheets>` +
+            '</workbook>');
+        await this.zip.addEntry('xl/_rels/workbook.xml.rels', workbookRelsXml(this.sheetCount));
+        await this.zip.addEntry('[Content_Types].xml', contentTypesXml(this.sheetCount));
+        await this.zip.close();
+    }
+
+    /**
+     * 放弃写入，删除未写完的文件
+     */
+    abort() {
+        this.zip.abort();
+    }
+}
+
+module.exports = {
+    MAX_SHEET_ROWS,
+    XlsxStreamWriter
+};
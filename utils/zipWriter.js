@@ -0,0 +1,230 @@
+/**
+ * 流式写入 ZIP 文件
+ * 每个文件的内容经 deflate 压缩后直接写入磁盘，大小和 CRC 写在内容之后的数据描述符中，
+ * 因此写入时不需要把整个文件保存在内存里，内存中只保留中央目录（每个文件几十字节）
+ * 不支持 ZIP64：单个文件和整个压缩包都不能超过 4GB
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const { once } = require('events');
+
+const MAX_ZIP32_SIZE = 0xFFFFFFFF;
+
+// 通用标志位：bit 3 表示大小和 CRC 写在数据描述符中，bit 11 表示文件名为 UTF-8
+const GENERAL_PURPOSE_FLAGS = 0x0808;
+const METHOD_DEFLATE = 8;
+const VERSION = 20;
+
+const CRC_TABLE = (() => {
+    const table = new Int32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c;
+    }
+    return table;
+})();
+
+/**
+ * 增量计算 CRC-32，crc 为上一次的结果（首次为 0）
+ * Node.js 20.15 起 zlib 自带 crc32，没有时使用查表实现
+ */
+function crc32(buffer, crc = 0) {
+    if (typeof zlib.crc32 === 'function') {
+        return zlib.crc32(buffer, crc);
+    }
+    let c = crc ^ -1;
+    for (let i = 0; i < buffer.length; i++) {
+        c = CRC_TABLE[(c ^ buffer[i]) & 0xFF] ^ (c >>> 8);
+    }
+    return (c ^ -1) >>> 0;
+}
+
+/**
+ * 转换为 DOS 格式的日期和时间
+ */
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+class ZipWriter {
+    /**
+     * @param {string} filePath - 压缩包路径
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.output = fs.createWriteStream(filePath);
+        this.error = null;
+        this.output.on('error', (error) => {
+            this.error = error;
+        });
+        this.offset = 0;
+        this.entries = [];
+        this.currentEntry = null;
+    }
+
+    /**
+     * 写入压缩包（等待缓冲区排空）
+     */
+    async _write(buffer) {
+        if (this.error) {
+            throw this.error;
+        }
+        this.offset += buffer.length;
+        if (!this.output.write(buffer)) {
+            await once(this.output, 'drain');
+        }
+        if (this.error) {
+            throw this.error;
+        }
+    }
+
+    /**
+     * 开始写入一个文件，返回 { write(chunk), end() }
+     * 同一时间只能写入一个文件，上一个文件 end() 之后才能开始下一个
+     */
+    async openEntry(name) {
+        if (this.currentEntry) {
+            throw new Error(`上一个文件 ${this.currentEntry.name} 尚未写完`);
+        }
+
+        const entry = {
+            name,
+            nameBuffer: Buffer.from(name, 'utf8'),
+            ...toDosDateTime(new Date()),
+            offset: this.offset,
+            crc: 0,
+            size: 0,
+            compressedSize: 0
+        };
+        this.currentEntry = entry;
+
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(VERSION, 4);
+        header.writeUInt16LE(GENERAL_PURPOSE_FLAGS, 6);
+        header.writeUInt16LE(METHOD_DEFLATE, 8);
+        header.writeUInt16LE(entry.time, 10);
+        header.writeUInt16LE(entry.date, 12);
+        // CRC、压缩后大小、原始大小（14-25）在数据描述符中给出，这里保持为 0
+        header.writeUInt16LE(entry.nameBuffer.length, 26);
+        header.writeUInt16LE(0, 28);
+        await this._write(Buffer.concat([header, entry.nameBuffer]));
+
+        const deflate = zlib.createDeflateRaw();
+        const written = new Promise((resolve, reject) => {
+            deflate.on('data', (chunk) => {
+                entry.compressedSize += chunk.length;
+                this.offset += chunk.length;
+                if (!this.output.write(chunk)) {
+                    deflate.pause();
+                    this.output.once('drain', () => deflate.resume());
+                }
+            });
+            deflate.on('end', resolve);
+            deflate.on('error', reject);
+        });
+
+        const write = async (chunk) => {
+            if (this.error) {
+                throw this.error;
+            }
+            const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, 'utf8');
+            entry.crc = crc32(buffer, entry.crc);
+            entry.size += buffer.length;
+            if (!deflate.write(buffer)) {
+                await once(deflate, 'drain');
+            }
+        };
+
+        const end = async () => {
+            deflate.end();
+            await written;
+            if (entry.size > MAX_ZIP32_SIZE || this.offset > MAX_ZIP32_SIZE) {
+                throw new Error('压缩包超过 4GB，不支持写入');
+            }
+
+            const descriptor = Buffer.alloc(16);
+            descriptor.writeUInt32LE(0x08074b50, 0);
+            descriptor.writeUInt32LE(entry.crc, 4);
+            descriptor.writeUInt32LE(entry.compressedSize, 8);
+            descriptor.writeUInt32LE(entry.size, 12);
+            await this._write(descriptor);
+
+            this.entries.push(entry);
+            this.currentEntry = null;
+        };
+
+        return { write, end };
+    }
+
+    /**
+     * 写入一个完整的文件
+     */
+    async addEntry(name, content) {
+        const entry = await this.openEntry(name);
+        await entry.write(content);
+        await entry.end();
+    }
+
+    /**
+     * 写入中央目录并关闭压缩包
+     */
+    async close() {
+        if (this.currentEntry) {
+            throw new Error(`文件 ${this.currentEntry.name} 尚未写完`);
+        }
+
+        const centralDirectoryOffset = this.offset;
+        const records = this.entries.map((entry) => {
+            const record = Buffer.alloc(46);
+            record.writeUInt32LE(0x02014b50, 0);
+            record.writeUInt16LE(VERSION, 4);
+            record.writeUInt16LE(VERSION, 6);
+            record.writeUInt16LE(GENERAL_PURPOSE_FLAGS, 8);
+            record.writeUInt16LE(METHOD_DEFLATE, 10);
+            record.writeUInt16LE(entry.time, 12);
+            record.writeUInt16LE(entry.date, 14);
+            record.writeUInt32LE(entry.crc, 16);
+            record.writeUInt32LE(entry.compressedSize, 20);
+            record.writeUInt32LE(entry.size, 24);
+            record.writeUInt16LE(entry.nameBuffer.length, 28);
+            // 扩展字段长度、注释长度、磁盘号、内部属性、外部属性（30-41）均为 0
+            record.writeUInt32LE(entry.offset, 42);
+            return Buffer.concat([record, entry.nameBuffer]);
+        });
+        const centralDirectory = Buffer.concat(records);
+        await this._write(centralDirectory);
+
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(this.entries.length, 8);
+        end.writeUInt16LE(this.entries.length, 10);
+        end.writeUInt32LE(centralDirectory.length, 12);
+        end.writeUInt32LE(centralDirectoryOffset, 16);
+        await this._write(end);
+
+        await new Promise((resolve, reject) => {
+            this.output.end((error) => (error ? reject(error) : resolve()));
+        });
+    }
+
+    /**
+     * 放弃写入，关闭并删除未写完的压缩包
+     */
+    abort() {
+        this.output.destroy();
+        fs.rmSync(this.filePath, { force: true });
+    }
+}
+
+module.exports = {
+    ZipWriter,
+    crc32
+};